@@ -0,0 +1,106 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { ActivatedRoute, Router } from '@angular/router';
+import { Subscription } from 'rxjs';
+import { FlickrAlbum, FlickrgetService, SearchCursor } from '../service/flickrget.service';
+
+// /owner/:nsid/albums/:album, la lightbox s'ouvre sur /owner/:nsid/albums/:album/photo/:id
+@Component({
+  selector: 'app-album',
+  templateUrl: './album.component.html',
+  styleUrls: ['./album.component.css']
+})
+export class AlbumComponent implements OnInit, OnDestroy {
+
+  nsid: string;
+  albumId: string;
+  album: FlickrAlbum;
+  images = [];
+  cursor: SearchCursor;
+  loading = false;
+  error: string;
+  photoId: string;
+  routeSub: Subscription;
+
+  constructor(private route: ActivatedRoute, private router: Router, private flickrGetService: FlickrgetService) { }
+
+  ngOnInit(): void {
+    this.routeSub = this.route.paramMap.subscribe(params => {
+      if (params.get('nsid') !== this.nsid || params.get('album') !== this.albumId) {
+        this.nsid = params.get('nsid');
+        this.albumId = params.get('album');
+        this.load();
+      }
+      this.photoId = params.get('id');
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.routeSub.unsubscribe();
+  }
+
+  load(): void {
+    this.album = null;
+    this.error = null;
+    this.images = [];
+    this.cursor = null;
+    // Le composant est réutilisé d'un album à l'autre : les réponses d'un album quitté sont ignorées
+    const album = this.albumKey;
+    this.flickrGetService.getAlbum(this.nsid, this.albumId).subscribe(data => {
+      if (album === this.albumKey) {
+        this.album = data;
+      }
+    }, err => {
+      if (album === this.albumKey) {
+        this.error = 'Album not found';
+      }
+    });
+
+    this.loading = true;
+    this.flickrGetService.getAlbumPhotos(this.nsid, this.albumId).subscribe(res => {
+      if (album !== this.albumKey) {
+        return;
+      }
+      this.images = res.images;
+      this.cursor = res.cursor;
+      this.loading = false;
+    }, err => {
+      console.log(err);
+      if (album === this.albumKey) {
+        this.loading = false;
+      }
+    });
+  }
+
+  onScroll(): void {
+    if (this.loading || !this.cursor || !this.flickrGetService.hasNextPage(this.cursor)) {
+      return;
+    }
+    this.loading = true;
+    const album = this.albumKey;
+    this.flickrGetService.nextPage(this.cursor).subscribe(res => {
+      if (album !== this.albumKey) {
+        return;
+      }
+      this.images = this.images.concat(res.images);
+      this.cursor = res.cursor;
+      this.loading = false;
+    }, err => {
+      console.log(err);
+      if (album === this.albumKey) {
+        this.loading = false;
+      }
+    });
+  }
+
+  get albumKey(): string {
+    return `${this.nsid}/${this.albumId}`;
+  }
+
+  onImageClick(id: string): void {
+    this.router.navigate(['/owner', this.nsid, 'albums', this.albumId, 'photo', id]);
+  }
+
+  onLightboxClose(): void {
+    this.router.navigate(['/owner', this.nsid, 'albums', this.albumId]);
+  }
+}
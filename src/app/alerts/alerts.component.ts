@@ -0,0 +1,63 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { ActivatedRoute, Router } from '@angular/router';
+import { Subscription } from 'rxjs';
+import { FlickrgetService } from '../service/flickrget.service';
+import { SavedSearch, SavedSearchService } from '../service/saved-search.service';
+
+// /alerts/:id : photos trouvées par les alertes d'une recherche enregistrée, l'ouverture vaut visite
+@Component({
+  selector: 'app-alerts',
+  templateUrl: './alerts.component.html',
+  styleUrls: ['./alerts.component.css']
+})
+export class AlertsComponent implements OnInit, OnDestroy {
+
+  search: SavedSearch;
+  lastSeenAt: string;
+  newImages = [];
+  olderImages = [];
+  error: string;
+  routeSub: Subscription;
+
+  constructor(private route: ActivatedRoute, private router: Router, private savedSearchService: SavedSearchService,
+              private flickrGetService: FlickrgetService) { }
+
+  ngOnInit(): void {
+    this.routeSub = this.route.paramMap.subscribe(params => {
+      this.load(params.get('id'));
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.routeSub.unsubscribe();
+  }
+
+  load(id: string): void {
+    this.search = null;
+    this.error = null;
+    this.newImages = [];
+    this.olderImages = [];
+    this.savedSearchService.alerts(id).subscribe(feed => {
+      this.search = feed.search;
+      this.lastSeenAt = feed.lastSeenAt;
+      // Dates ISO : la comparaison de chaînes suffit
+      feed.photos.forEach(photo => {
+        const image = this.flickrGetService.toImage(photo);
+        (photo.foundAt > feed.lastSeenAt ? this.newImages : this.olderImages).push(image);
+      });
+      this.savedSearchService.markSeen(id).subscribe(() => { }, err => {
+        console.log(err);
+      });
+    }, err => {
+      this.error = err.status === 404 ? 'Saved search not found' : 'Alerts are not available';
+    });
+  }
+
+  runSearch(): void {
+    this.router.navigate(['/search'], { queryParams: this.search.params });
+  }
+
+  onImageClick(id: string): void {
+    this.router.navigate(['/photo', id, 'details']);
+  }
+}
@@ -0,0 +1,90 @@
+import { NgModule } from '@angular/core';
+import { RouterModule, Routes, UrlMatchResult, UrlSegment } from '@angular/router';
+import { ImgsSearchComponent } from './imgs-search/imgs-search.component';
+import { PhotoDetailComponent } from './photo-detail/photo-detail.component';
+import { OwnerComponent } from './owner/owner.component';
+import { AlbumComponent } from './album/album.component';
+import { ExploreComponent } from './explore/explore.component';
+import { CamerasComponent } from './cameras/cameras.component';
+import { BoardsComponent } from './boards/boards.component';
+import { AlertsComponent } from './alerts/alerts.component';
+import { LoginComponent } from './login/login.component';
+import { AuthGuard } from './auth.guard';
+
+// /search et /photo/:id partagent une seule route : la grille n'est pas recréée à l'ouverture de la lightbox
+export function searchMatcher(segments: UrlSegment[]): UrlMatchResult {
+  if (segments.length === 1 && segments[0].path === 'search') {
+    return { consumed: segments };
+  }
+  if (segments.length === 2 && segments[0].path === 'photo') {
+    return { consumed: segments, posParams: { id: segments[1] } };
+  }
+  return null;
+}
+
+// Même principe pour l'Explore : /explore et /explore/photo/:id
+export function exploreMatcher(segments: UrlSegment[]): UrlMatchResult {
+  if (!segments.length || segments[0].path !== 'explore') {
+    return null;
+  }
+  if (segments.length === 1) {
+    return { consumed: segments };
+  }
+  if (segments.length === 3 && segments[1].path === 'photo') {
+    return { consumed: segments, posParams: { id: segments[2] } };
+  }
+  return null;
+}
+
+// Même principe pour un board : /boards, /boards/:board et /boards/:board/photo/:id
+export function boardsMatcher(segments: UrlSegment[]): UrlMatchResult {
+  if (!segments.length || segments[0].path !== 'boards') {
+    return null;
+  }
+  if (segments.length === 1) {
+    return { consumed: segments };
+  }
+  if (segments.length === 2) {
+    return { consumed: segments, posParams: { board: segments[1] } };
+  }
+  if (segments.length === 4 && segments[2].path === 'photo') {
+    return { consumed: segments, posParams: { board: segments[1], id: segments[3] } };
+  }
+  return null;
+}
+
+// Même principe pour un album : /owner/:nsid/albums/:album et /owner/:nsid/albums/:album/photo/:id
+export function albumMatcher(segments: UrlSegment[]): UrlMatchResult {
+  if (segments.length < 4 || segments[0].path !== 'owner' || segments[2].path !== 'albums') {
+    return null;
+  }
+  const posParams = { nsid: segments[1], album: segments[3] };
+  if (segments.length === 4) {
+    return { consumed: segments, posParams };
+  }
+  if (segments.length === 6 && segments[4].path === 'photo') {
+    return { consumed: segments, posParams: { ...posParams, id: segments[5] } };
+  }
+  return null;
+}
+
+const routes: Routes = [
+  { path: '', pathMatch: 'full', redirectTo: 'explore' },
+  { path: 'login', component: LoginComponent },
+  { matcher: exploreMatcher, component: ExploreComponent, canActivate: [AuthGuard] },
+  { matcher: searchMatcher, component: ImgsSearchComponent, canActivate: [AuthGuard] },
+  { path: 'photo/:id/details', component: PhotoDetailComponent, canActivate: [AuthGuard] },
+  { path: 'owner/:nsid', component: OwnerComponent, canActivate: [AuthGuard] },
+  { matcher: albumMatcher, component: AlbumComponent, canActivate: [AuthGuard] },
+  { path: 'cameras', component: CamerasComponent, canActivate: [AuthGuard] },
+  { path: 'cameras/:brand', component: CamerasComponent, canActivate: [AuthGuard] },
+  { matcher: boardsMatcher, component: BoardsComponent, canActivate: [AuthGuard] },
+  { path: 'alerts/:id', component: AlertsComponent, canActivate: [AuthGuard] },
+  { path: '**', redirectTo: 'search' }
+];
+
+@NgModule({
+  imports: [RouterModule.forRoot(routes)],
+  exports: [RouterModule]
+})
+export class AppRoutingModule { }
@@ -1,26 +1,62 @@
 import { BrowserModule } from '@angular/platform-browser';
 import { NgModule } from '@angular/core';
 import { AppComponent } from './app.component';
+import { AppRoutingModule } from './app-routing.module';
 import { ImgsSearchComponent } from './imgs-search/imgs-search.component';
-import { HttpClientModule } from '@angular/common/http';
+import { HttpClientModule, HTTP_INTERCEPTORS } from '@angular/common/http';
 import { InfiniteScrollModule } from 'ngx-infinite-scroll';
 import { FiltreImagesComponent } from './filtre-images/filtre-images.component';
 import { FormsModule } from '@angular/forms';
+import { PhotoDetailComponent } from './photo-detail/photo-detail.component';
+import { FlickrHtmlPipe } from './flickr-html.pipe';
+import { GeoFilterComponent } from './geo-filter/geo-filter.component';
+import { ResultsMapComponent } from './results-map/results-map.component';
+import { PhotoGridComponent } from './photo-grid/photo-grid.component';
+import { OwnerComponent } from './owner/owner.component';
+import { LightboxComponent } from './lightbox/lightbox.component';
+import { AlbumComponent } from './album/album.component';
+import { ExploreComponent } from './explore/explore.component';
+import { CamerasComponent } from './cameras/cameras.component';
+import { SavedSearchesComponent } from './saved-searches/saved-searches.component';
+import { BoardPickerComponent } from './board-picker/board-picker.component';
+import { BoardsComponent } from './boards/boards.component';
+import { AlertsComponent } from './alerts/alerts.component';
+import { LoginComponent } from './login/login.component';
+import { AuthInterceptor } from './auth.interceptor';
 import { Mongodb } from '../../node_modules/mongodb';
 
 @NgModule({
   declarations: [
     AppComponent,
     ImgsSearchComponent,
-    FiltreImagesComponent
+    FiltreImagesComponent,
+    PhotoDetailComponent,
+    FlickrHtmlPipe,
+    GeoFilterComponent,
+    ResultsMapComponent,
+    PhotoGridComponent,
+    OwnerComponent,
+    LightboxComponent,
+    AlbumComponent,
+    ExploreComponent,
+    CamerasComponent,
+    SavedSearchesComponent,
+    BoardPickerComponent,
+    BoardsComponent,
+    AlertsComponent,
+    LoginComponent
   ],
   imports: [
     BrowserModule,
+    AppRoutingModule,
     HttpClientModule,
     InfiniteScrollModule,
     FormsModule
   ],
-  providers: [FiltreImagesComponent],
+  providers: [
+    FiltreImagesComponent,
+    { provide: HTTP_INTERCEPTORS, useClass: AuthInterceptor, multi: true }
+  ],
   bootstrap: [AppComponent]
 })
 export class AppModule { }
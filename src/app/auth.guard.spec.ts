@@ -0,0 +1,36 @@
+import { TestBed } from '@angular/core/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { ActivatedRouteSnapshot, RouterStateSnapshot, UrlTree } from '@angular/router';
+
+import { AuthGuard } from './auth.guard';
+import { AuthService } from './service/auth.service';
+
+describe('AuthGuard', () => {
+  let guard: AuthGuard;
+  let auth: AuthService;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule, RouterTestingModule]
+    });
+    guard = TestBed.inject(AuthGuard);
+    auth = TestBed.inject(AuthService);
+    auth.clear();
+  });
+
+  afterEach(() => {
+    auth.clear();
+  });
+
+  it('should redirect to the login page without a session', () => {
+    const result = guard.canActivate({} as ActivatedRouteSnapshot, { url: '/boards' } as RouterStateSnapshot);
+    expect(result instanceof UrlTree).toBeTrue();
+    expect(result.toString()).toBe('/login?returnUrl=%2Fboards');
+  });
+
+  it('should let a logged in user through', () => {
+    localStorage.setItem('auth.token', 'abc');
+    expect(guard.canActivate({} as ActivatedRouteSnapshot, { url: '/boards' } as RouterStateSnapshot)).toBeTrue();
+  });
+});
@@ -0,0 +1,19 @@
+import { Injectable } from '@angular/core';
+import { ActivatedRouteSnapshot, CanActivate, Router, RouterStateSnapshot, UrlTree } from '@angular/router';
+import { AuthService } from './service/auth.service';
+
+// Toutes les pages sauf /login demandent une session ; l'URL demandée est reprise après connexion
+@Injectable({
+  providedIn: 'root'
+})
+export class AuthGuard implements CanActivate {
+
+  constructor(private auth: AuthService, private router: Router) { }
+
+  canActivate(route: ActivatedRouteSnapshot, state: RouterStateSnapshot): boolean | UrlTree {
+    if (this.auth.isLoggedIn) {
+      return true;
+    }
+    return this.router.createUrlTree(['/login'], { queryParams: { returnUrl: state.url } });
+  }
+}
@@ -0,0 +1,49 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClient, HTTP_INTERCEPTORS } from '@angular/common/http';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+import { Router } from '@angular/router';
+import { environment } from 'src/environments/environment';
+
+import { AuthInterceptor } from './auth.interceptor';
+import { AuthService } from './service/auth.service';
+
+describe('AuthInterceptor', () => {
+  let http: HttpClient;
+  let httpMock: HttpTestingController;
+  let auth: AuthService;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule, RouterTestingModule],
+      providers: [{ provide: HTTP_INTERCEPTORS, useClass: AuthInterceptor, multi: true }]
+    });
+    http = TestBed.inject(HttpClient);
+    httpMock = TestBed.inject(HttpTestingController);
+    auth = TestBed.inject(AuthService);
+    localStorage.setItem('auth.token', 'abc');
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+    auth.clear();
+  });
+
+  it('should send the token to the API only', () => {
+    http.get(environment.apiUrl + '/boards').subscribe();
+    http.get('https://live.staticflickr.com/1/2_3.jpg').subscribe();
+
+    expect(httpMock.expectOne(environment.apiUrl + '/boards').request.headers.get('Authorization')).toBe('Bearer abc');
+    expect(httpMock.expectOne('https://live.staticflickr.com/1/2_3.jpg').request.headers.has('Authorization')).toBeFalse();
+  });
+
+  it('should send back to the login page when the session is refused', () => {
+    const router = TestBed.inject(Router);
+    spyOn(router, 'navigate');
+    http.get(environment.apiUrl + '/boards').subscribe({ error: () => { } });
+
+    httpMock.expectOne(environment.apiUrl + '/boards').flush({ error: 'session expired' }, { status: 401, statusText: 'Unauthorized' });
+    expect(auth.isLoggedIn).toBeFalse();
+    expect(router.navigate).toHaveBeenCalledWith(['/login'], { queryParams: { returnUrl: '/' } });
+  });
+});
@@ -0,0 +1,31 @@
+import { Injectable } from '@angular/core';
+import { HttpErrorResponse, HttpEvent, HttpHandler, HttpInterceptor, HttpRequest } from '@angular/common/http';
+import { Router } from '@angular/router';
+import { Observable, throwError } from 'rxjs';
+import { catchError } from 'rxjs/operators';
+import { environment } from 'src/environments/environment';
+import { AuthService } from './service/auth.service';
+
+// Ajoute le jeton de session aux appels de l'API ; une session refusée renvoie vers /login
+@Injectable()
+export class AuthInterceptor implements HttpInterceptor {
+
+  constructor(private auth: AuthService, private router: Router) { }
+
+  intercept(request: HttpRequest<any>, next: HttpHandler): Observable<HttpEvent<any>> {
+    if (!request.url.startsWith(environment.apiUrl)) {
+      return next.handle(request);
+    }
+    const token = this.auth.token;
+    if (token) {
+      request = request.clone({ setHeaders: { Authorization: `Bearer ${token}` } });
+    }
+    return next.handle(request).pipe(catchError((err: HttpErrorResponse) => {
+      if (err.status === 401 && !request.url.startsWith(`${environment.apiUrl}/auth/`)) {
+        this.auth.clear();
+        this.router.navigate(['/login'], { queryParams: { returnUrl: this.router.url } });
+      }
+      return throwError(err);
+    }));
+  }
+}
@@ -0,0 +1,57 @@
+import { Component, Input } from '@angular/core';
+import { BoardService, BoardSummary } from '../service/board.service';
+
+// Bouton "+ Board" : ajoute une photo à un board existant ou à un nouveau board
+@Component({
+  selector: 'app-board-picker',
+  templateUrl: './board-picker.component.html',
+  styleUrls: ['./board-picker.component.css']
+})
+export class BoardPickerComponent {
+
+  @Input() photoId: string;
+  open = false;
+  boards: BoardSummary[] = [];
+  // Message par board après un ajout ('Added', 'Already there'...)
+  status: { [boardId: string]: string } = {};
+  error: string;
+
+  constructor(private boardService: BoardService) { }
+
+  toggle(): void {
+    this.open = !this.open;
+    if (this.open) {
+      this.status = {};
+      this.error = null;
+      this.boardService.list().subscribe(boards => {
+        this.boards = boards;
+      }, err => {
+        this.error = 'Boards are not available';
+      });
+    }
+  }
+
+  add(board: BoardSummary): void {
+    this.status[board._id] = '...';
+    this.boardService.addPhoto(board._id, this.photoId).subscribe(() => {
+      this.status[board._id] = 'Added';
+      board.count++;
+    }, err => {
+      this.status[board._id] = err.status === 409 ? 'Already there' : 'Failed';
+    });
+  }
+
+  create(name: string): void {
+    name = name.trim();
+    if (!name) {
+      return;
+    }
+    this.boardService.create(name).subscribe(board => {
+      const summary: BoardSummary = { _id: board._id, name: board.name, count: 0, createdAt: board.createdAt, updatedAt: board.updatedAt };
+      this.boards = [summary].concat(this.boards);
+      this.add(summary);
+    }, err => {
+      this.error = 'Could not create this board';
+    });
+  }
+}
@@ -0,0 +1,127 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { ActivatedRoute, Router } from '@angular/router';
+import { Subscription } from 'rxjs';
+import { FlickrgetService } from '../service/flickrget.service';
+import { Board, BoardService, BoardSummary } from '../service/board.service';
+
+// /boards liste les boards, /boards/:id en affiche un dans la grille, lightbox sur /boards/:id/photo/:photoId
+@Component({
+  selector: 'app-boards',
+  templateUrl: './boards.component.html',
+  styleUrls: ['./boards.component.css']
+})
+export class BoardsComponent implements OnInit, OnDestroy {
+
+  boards: BoardSummary[] = [];
+  boardId: string;
+  board: Board;
+  images = [];
+  photoId: string;
+  renaming = false;
+  error: string;
+  routeSub: Subscription;
+
+  constructor(private route: ActivatedRoute, private router: Router, private boardService: BoardService,
+              private flickrGetService: FlickrgetService) { }
+
+  ngOnInit(): void {
+    this.routeSub = this.route.paramMap.subscribe(params => {
+      const boardId = params.get('board');
+      if (boardId !== this.boardId) {
+        this.boardId = boardId;
+        this.error = null;
+        if (boardId) {
+          this.loadBoard();
+        } else {
+          this.loadBoards();
+        }
+      }
+      this.photoId = params.get('id');
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.routeSub.unsubscribe();
+  }
+
+  loadBoards(): void {
+    this.board = null;
+    this.images = [];
+    this.boardService.list().subscribe(boards => {
+      this.boards = boards;
+    }, err => {
+      this.error = 'Boards are not available';
+    });
+  }
+
+  // Les photos les plus récemment ajoutées d'abord
+  loadBoard(): void {
+    this.board = null;
+    this.images = [];
+    this.renaming = false;
+    this.boardService.get(this.boardId).subscribe(board => {
+      this.board = board;
+      this.images = board.photos.slice().reverse().map(photo => this.flickrGetService.toImage(photo));
+    }, err => {
+      this.error = err.status === 404 ? 'Board not found' : 'Board is not available';
+    });
+  }
+
+  cover(board: BoardSummary): string {
+    return board.cover ? this.flickrGetService.toImage(board.cover).thumbnail : '';
+  }
+
+  create(name: string): void {
+    name = name.trim();
+    if (!name) {
+      return;
+    }
+    this.boardService.create(name).subscribe(board => {
+      this.router.navigate(['/boards', board._id]);
+    }, err => {
+      this.error = 'Could not create this board';
+    });
+  }
+
+  rename(name: string): void {
+    name = name.trim();
+    if (!name || name === this.board.name) {
+      this.renaming = false;
+      return;
+    }
+    this.boardService.rename(this.boardId, name).subscribe(board => {
+      this.board.name = board.name;
+      this.renaming = false;
+    }, err => {
+      this.error = 'Could not rename this board';
+    });
+  }
+
+  deleteBoard(): void {
+    if (!confirm(`Delete the board "${this.board.name}" ?`)) {
+      return;
+    }
+    this.boardService.delete(this.boardId).subscribe(() => {
+      this.router.navigate(['/boards']);
+    }, err => {
+      this.error = 'Could not delete this board';
+    });
+  }
+
+  removePhoto(photoId: string): void {
+    this.boardService.removePhoto(this.boardId, photoId).subscribe(() => {
+      this.board.photos = this.board.photos.filter(photo => photo.id !== photoId);
+      this.images = this.images.filter(image => image.id !== photoId);
+    }, err => {
+      this.error = 'Could not remove this photo';
+    });
+  }
+
+  onImageClick(id: string): void {
+    this.router.navigate(['/boards', this.boardId, 'photo', id]);
+  }
+
+  onLightboxClose(): void {
+    this.router.navigate(['/boards', this.boardId]);
+  }
+}
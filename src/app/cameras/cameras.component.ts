@@ -0,0 +1,61 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { ActivatedRoute } from '@angular/router';
+import { Subscription } from 'rxjs';
+import { CameraBrand, CameraModel, FlickrgetService } from '../service/flickrget.service';
+
+// /cameras liste les marques (flickr.cameras.getBrands), /cameras/:brand leurs modèles
+@Component({
+  selector: 'app-cameras',
+  templateUrl: './cameras.component.html',
+  styleUrls: ['./cameras.component.css']
+})
+export class CamerasComponent implements OnInit, OnDestroy {
+
+  brands: CameraBrand[] = [];
+  brand: string;
+  models: CameraModel[] = [];
+  loading = false;
+  error: string;
+  routeSub: Subscription;
+
+  constructor(private route: ActivatedRoute, private flickrGetService: FlickrgetService) { }
+
+  ngOnInit(): void {
+    this.flickrGetService.getCameraBrands().subscribe(brands => {
+      this.brands = brands;
+    }, err => {
+      this.error = 'Camera brands are not available';
+    });
+    this.routeSub = this.route.paramMap.subscribe(params => {
+      this.brand = params.get('brand');
+      this.loadModels();
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.routeSub.unsubscribe();
+  }
+
+  loadModels(): void {
+    this.models = [];
+    if (!this.brand) {
+      return;
+    }
+    const brand = this.brand;
+    this.loading = true;
+    this.flickrGetService.getCameraModels(brand).subscribe(models => {
+      if (brand === this.brand) {
+        this.models = models;
+        this.loading = false;
+      }
+    }, err => {
+      console.log(err);
+      this.loading = false;
+    });
+  }
+
+  get brandName(): string {
+    const brand = this.brands.find(b => b.id === this.brand);
+    return brand ? brand.name : this.brand;
+  }
+}
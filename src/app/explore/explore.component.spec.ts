@@ -0,0 +1,38 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+
+import { ExploreComponent } from './explore.component';
+
+describe('ExploreComponent', () => {
+  let component: ExploreComponent;
+  let fixture: ComponentFixture<ExploreComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [ HttpClientTestingModule, RouterTestingModule ],
+      declarations: [ ExploreComponent ]
+    })
+    .compileComponents();
+  });
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(ExploreComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should open on yesterday', () => {
+    expect(component.date).toBe(component.maxDate);
+    expect(component.maxDate < new Date().toISOString().slice(0, 10)).toBeTrue();
+  });
+
+  it('should shift dates across months', () => {
+    expect(ExploreComponent.shiftDate('2021-03-01', -1)).toBe('2021-02-28');
+    expect(ExploreComponent.shiftDate('2020-12-31', 1)).toBe('2021-01-01');
+  });
+});
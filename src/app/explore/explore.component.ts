@@ -0,0 +1,113 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { ActivatedRoute, Router } from '@angular/router';
+import { combineLatest, Subscription } from 'rxjs';
+import { FlickrgetService, SearchCursor } from '../service/flickrget.service';
+
+// /explore?date=2021-03-14 : sélection du jour de Flickr (la veille par défaut), lightbox sur /explore/photo/:id
+@Component({
+  selector: 'app-explore',
+  templateUrl: './explore.component.html',
+  styleUrls: ['./explore.component.css']
+})
+export class ExploreComponent implements OnInit, OnDestroy {
+
+  date: string;
+  maxDate: string;
+  images = [];
+  cursor: SearchCursor;
+  loading = false;
+  error: string;
+  photoId: string;
+  routeSub: Subscription;
+
+  // Les dates restent des chaînes YYYY-MM-DD en UTC, comme côté Flickr
+  static shiftDate(date: string, days: number): string {
+    const day = new Date(date + 'T00:00:00Z');
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+  }
+
+  constructor(private route: ActivatedRoute, private router: Router, private flickrGetService: FlickrgetService) { }
+
+  ngOnInit(): void {
+    this.maxDate = ExploreComponent.shiftDate(new Date().toISOString().slice(0, 10), -1);
+    this.routeSub = combineLatest([this.route.paramMap, this.route.queryParamMap]).subscribe(([params, query]) => {
+      const date = query.get('date') || this.maxDate;
+      if (date !== this.date) {
+        this.date = date;
+        this.load();
+      }
+      this.photoId = params.get('id');
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.routeSub.unsubscribe();
+  }
+
+  load(): void {
+    this.images = [];
+    this.cursor = null;
+    this.error = null;
+    this.loading = true;
+    const date = this.date;
+    this.flickrGetService.explore(date).subscribe(res => {
+      if (date !== this.date) {
+        return;
+      }
+      this.images = res.images;
+      this.cursor = res.cursor;
+      this.loading = false;
+    }, err => {
+      if (date !== this.date) {
+        return;
+      }
+      this.error = err.error && err.error.error ? err.error.error : 'Explore is not available for this day';
+      this.loading = false;
+    });
+  }
+
+  onScroll(): void {
+    if (this.loading || !this.cursor || !this.flickrGetService.hasNextPage(this.cursor)) {
+      return;
+    }
+    this.loading = true;
+    // Page d'un jour quitté entre-temps : load() a déjà remis la grille à zéro
+    const date = this.date;
+    this.flickrGetService.nextPage(this.cursor).subscribe(res => {
+      if (date !== this.date) {
+        return;
+      }
+      this.images = this.images.concat(res.images);
+      this.cursor = res.cursor;
+      this.loading = false;
+    }, err => {
+      console.log(err);
+      if (date === this.date) {
+        this.loading = false;
+      }
+    });
+  }
+
+  setDate(date: string): void {
+    if (date && date <= this.maxDate) {
+      this.router.navigate(['/explore'], { queryParams: { date: date === this.maxDate ? null : date } });
+    }
+  }
+
+  previousDay(): void {
+    this.setDate(ExploreComponent.shiftDate(this.date, -1));
+  }
+
+  nextDay(): void {
+    this.setDate(ExploreComponent.shiftDate(this.date, 1));
+  }
+
+  onImageClick(id: string): void {
+    this.router.navigate(['/explore', 'photo', id], { queryParamsHandling: 'preserve' });
+  }
+
+  onLightboxClose(): void {
+    this.router.navigate(['/explore'], { queryParamsHandling: 'preserve' });
+  }
+}
@@ -1,4 +1,7 @@
 import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { FormsModule } from '@angular/forms';
+import { RouterTestingModule } from '@angular/router/testing';
 
 import { FiltreImagesComponent } from './filtre-images.component';
 
@@ -8,6 +11,7 @@ describe('FiltreImagesComponent', () => {
 
   beforeEach(async () => {
     await TestBed.configureTestingModule({
+      imports: [ FormsModule, HttpClientTestingModule, RouterTestingModule ],
       declarations: [ FiltreImagesComponent ]
     })
     .compileComponents();
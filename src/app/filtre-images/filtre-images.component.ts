@@ -1,41 +1,120 @@
-import { Component, Input, OnInit } from '@angular/core';
-import { FlickrgetService } from '../service/flickrget.service';
+import { Component, Input, OnDestroy, OnInit } from '@angular/core';
+import { ActivatedRoute, Params, Router } from '@angular/router';
+import { Subscription } from 'rxjs';
+import { CameraBrand, CameraModel, FlickrgetService } from '../service/flickrget.service';
 
 @Component({
   selector: 'app-filtre-images',
   templateUrl: './filtre-images.component.html',
   styleUrls: ['./filtre-images.component.css']
 })
-export class FiltreImagesComponent implements OnInit {
+export class FiltreImagesComponent implements OnInit, OnDestroy {
 
   media: string = "all";
-  dateMin: number = 0;
+  dateMin = '';
   @Input() uploadMin: string;
-  dateMax: number = Date.now();
+  dateMax = '';
   @Input() uploadMax: string;
+  license = '';
+  // Valeurs du paramètre license de flickr.photos.search (identifiants séparés par des virgules)
+  licenseOptions = [
+    { value: '', label: 'Any license' },
+    { value: '1,2,3,4,5,6', label: 'All Creative Commons' },
+    { value: '4', label: 'CC BY' },
+    { value: '5', label: 'CC BY-SA' },
+    { value: '6', label: 'CC BY-ND' },
+    { value: '2', label: 'CC BY-NC' },
+    { value: '1', label: 'CC BY-NC-SA' },
+    { value: '3', label: 'CC BY-NC-ND' },
+    { value: '7', label: 'No known copyright restrictions' },
+    { value: '9,10', label: 'Public domain' },
+    { value: '0', label: 'All rights reserved' }
+  ];
+  sort = '';
+  // Valeurs du paramètre sort de flickr.photos.search, '' = pertinence (ordre par défaut de Flickr)
+  sortOptions = [
+    { value: '', label: 'Relevance' },
+    { value: 'interestingness-desc', label: 'Most interesting' },
+    { value: 'interestingness-asc', label: 'Least interesting' },
+    { value: 'date-posted-desc', label: 'Recently posted' },
+    { value: 'date-posted-asc', label: 'Oldest posted' },
+    { value: 'date-taken-desc', label: 'Recently taken' },
+    { value: 'date-taken-asc', label: 'Oldest taken' }
+  ];
+  // "Shot with" : filtre côté client sur l'appareil EXIF, appliqué par ImgsSearchComponent
+  camera = '';
+  cameraBrand = '';
+  cameraBrands: CameraBrand[] = [];
+  cameraModels: CameraModel[] = [];
+  querySub: Subscription;
 
-  public constructor(private flickr: FlickrgetService) {
-    this.flickr.setMedia(this.media);
-    this.flickr.setDateMin(this.dateMin);
-    this.flickr.setDateMax(this.dateMax);
-   }
+  public constructor(private route: ActivatedRoute, private router: Router, private flickrGetService: FlickrgetService) { }
 
+  // Les filtres vivent dans l'URL (?media=&min=&max=&license=&sort=&camera=), ImgsSearchComponent les transmet au service
   ngOnInit(): void {
+    this.querySub = this.route.queryParamMap.subscribe(query => {
+      this.media = query.get('media') || 'all';
+      this.dateMin = this.uploadMin = query.get('min') || '';
+      this.dateMax = this.uploadMax = query.get('max') || '';
+      this.license = query.get('license') || '';
+      this.sort = query.get('sort') || '';
+      this.camera = query.get('camera') || '';
+    });
+    this.flickrGetService.getCameraBrands().subscribe(brands => {
+      this.cameraBrands = brands;
+    }, err => {
+      console.log(err);
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.querySub.unsubscribe();
   }
 
   setMediaType(type: string): void {
     this.media = type;
-    this.flickr.setMedia(this.media);
+    this.updateUrl({ media: type === 'all' ? null : type });
   }
 
   setDateUploadMin(): void {
-    this.dateMin = Date.parse(this.uploadMin);
-    this.flickr.setDateMin(this.dateMin);
+    this.dateMin = this.uploadMin || '';
+    this.updateUrl({ min: this.dateMin || null });
   }
 
   setDateUploadMax(): void {
-    this.dateMax = Date.parse(this.uploadMax);
-    this.flickr.setDateMax(this.dateMax);
+    this.dateMax = this.uploadMax || '';
+    this.updateUrl({ max: this.dateMax || null });
+  }
+
+  setLicense(license: string): void {
+    this.license = license;
+    this.updateUrl({ license: license || null });
+  }
+
+  setSort(sort: string): void {
+    this.sort = sort;
+    this.updateUrl({ sort: sort || null });
+  }
+
+  setCameraBrand(brand: string): void {
+    this.cameraBrand = brand;
+    this.cameraModels = [];
+    if (brand) {
+      this.flickrGetService.getCameraModels(brand).subscribe(models => {
+        this.cameraModels = models;
+      }, err => {
+        console.log(err);
+      });
+    }
+  }
+
+  setCamera(camera: string): void {
+    this.camera = camera;
+    this.updateUrl({ camera: camera || null });
+  }
+
+  private updateUrl(queryParams: Params): void {
+    this.router.navigate([], { relativeTo: this.route, queryParams, queryParamsHandling: 'merge' });
   }
 
 }
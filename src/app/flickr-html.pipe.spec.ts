@@ -0,0 +1,27 @@
+import { FlickrHtmlPipe } from './flickr-html.pipe';
+
+describe('FlickrHtmlPipe', () => {
+  const pipe = new FlickrHtmlPipe();
+
+  it('create an instance', () => {
+    expect(pipe).toBeTruthy();
+  });
+
+  it('should keep links and basic formatting', () => {
+    expect(pipe.transform('<b>Shot</b> by <a href="https://example.com" class="x">me</a>'))
+      .toBe('<b>Shot</b> by <a href="https://example.com" target="_blank" rel="noopener noreferrer nofollow">me</a>');
+  });
+
+  it('should drop scripts and event handlers', () => {
+    expect(pipe.transform('hello<script>alert(1)</script><img src="x" onerror="alert(2)"><i onclick="alert(3)">!</i>'))
+      .toBe('hello<i>!</i>');
+  });
+
+  it('should drop javascript: links but keep their text', () => {
+    expect(pipe.transform('<a href="javascript:alert(1)">click</a>')).toBe('<a>click</a>');
+  });
+
+  it('should unwrap unknown tags', () => {
+    expect(pipe.transform('<div><span>text</span></div>')).toBe('text');
+  });
+});
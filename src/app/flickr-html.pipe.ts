@@ -0,0 +1,55 @@
+import { Pipe, PipeTransform } from '@angular/core';
+
+// Balises conservées dans les descriptions Flickr, tout le reste est retiré (le texte est gardé)
+const ALLOWED_TAGS = ['A', 'B', 'STRONG', 'I', 'EM', 'U', 'S', 'BR', 'P', 'UL', 'OL', 'LI', 'BLOCKQUOTE'];
+// Balises supprimées avec leur contenu
+const DROPPED_TAGS = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT', 'SVG', 'MATH'];
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+/**
+ * Nettoie le HTML écrit par les utilisateurs Flickr (descriptions, commentaires) avec une liste blanche :
+ * liens http(s)/mailto et mise en forme simple. Le résultat est destiné à [innerHTML].
+ */
+@Pipe({
+  name: 'flickrHtml'
+})
+export class FlickrHtmlPipe implements PipeTransform {
+
+  transform(html: string): string {
+    if (!html) {
+      return '';
+    }
+    const source = new DOMParser().parseFromString(html, 'text/html').body;
+    const target = document.createElement('div');
+    this.copyChildren(source, target);
+    return target.innerHTML;
+  }
+
+  private copyChildren(from: Node, to: Node): void {
+    from.childNodes.forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        to.appendChild(document.createTextNode(node.textContent));
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        const element = node as Element;
+        if (DROPPED_TAGS.includes(element.tagName)) {
+          return;
+        }
+        if (!ALLOWED_TAGS.includes(element.tagName)) {
+          this.copyChildren(element, to);
+          return;
+        }
+        const copy = document.createElement(element.tagName);
+        if (element.tagName === 'A') {
+          const href = (element.getAttribute('href') || '').trim();
+          if (SAFE_URL.test(href)) {
+            copy.setAttribute('href', href);
+            copy.setAttribute('target', '_blank');
+            copy.setAttribute('rel', 'noopener noreferrer nofollow');
+          }
+        }
+        this.copyChildren(element, copy);
+        to.appendChild(copy);
+      }
+    });
+  }
+}
@@ -0,0 +1,58 @@
+import { FlickrUrlBuilder } from './flickr-url-builder';
+
+describe('FlickrUrlBuilder', () => {
+  // Résultat de flickr.photos.search sans extras : farm et server sont différents
+  const searchRecord = { id: '50627868397', secret: 'c42a0b5d6b', server: '65535', farm: 66, title: 'Milky way' };
+  // Résultat de flickr.photos.getInfo
+  const infoRecord = {
+    id: '8432423659', secret: '1b3c4e4b1f', server: '8188', farm: 9,
+    originalsecret: '7d7e2c1f8a', originalformat: 'png'
+  };
+
+  it('should use the server id, not the farm', () => {
+    expect(FlickrUrlBuilder.photo(searchRecord, 'm')).toBe('https://live.staticflickr.com/65535/50627868397_c42a0b5d6b_m.jpg');
+  });
+
+  it('should build every size with a shared secret', () => {
+    ['s', 'q', 't', 'm', 'n', 'w', 'z', 'c', 'b'].forEach((size: any) => {
+      expect(FlickrUrlBuilder.photo(infoRecord, size)).toBe(`https://live.staticflickr.com/8188/8432423659_1b3c4e4b1f_${size}.jpg`);
+    });
+  });
+
+  it('should default to the z size', () => {
+    expect(FlickrUrlBuilder.photo(searchRecord)).toBe('https://live.staticflickr.com/65535/50627868397_c42a0b5d6b_z.jpg');
+  });
+
+  it('should build the original with originalsecret and originalformat', () => {
+    expect(FlickrUrlBuilder.photo(infoRecord, 'o')).toBe('https://live.staticflickr.com/8188/8432423659_7d7e2c1f8a_o.png');
+  });
+
+  it('should fall back to b when the original or h/k secrets are unknown', () => {
+    const large = 'https://live.staticflickr.com/65535/50627868397_c42a0b5d6b_b.jpg';
+    expect(FlickrUrlBuilder.photo(searchRecord, 'o')).toBe(large);
+    expect(FlickrUrlBuilder.photo(searchRecord, 'h')).toBe(large);
+    expect(FlickrUrlBuilder.photo(searchRecord, 'k')).toBe(large);
+  });
+
+  it('should prefer the URLs returned as search extras', () => {
+    const record = {
+      ...searchRecord,
+      url_l: 'https://live.staticflickr.com/65535/50627868397_c42a0b5d6b_b.jpg',
+      url_k: 'https://live.staticflickr.com/65535/50627868397_0f1e2d3c4b_k.jpg'
+    };
+    expect(FlickrUrlBuilder.photo(record, 'b')).toBe(record.url_l);
+    expect(FlickrUrlBuilder.photo(record, 'k')).toBe(record.url_k);
+  });
+
+  it('should return an empty url for incomplete records', () => {
+    expect(FlickrUrlBuilder.photo({ id: '1' }, 'm')).toBe('');
+    expect(FlickrUrlBuilder.photo(null, 'm')).toBe('');
+  });
+
+  it('should build buddy icons with the icon farm and server', () => {
+    expect(FlickrUrlBuilder.buddyIcon({ nsid: '37107167@N07', iconserver: '7372', iconfarm: 8 }))
+      .toBe('https://farm8.staticflickr.com/7372/buddyicons/37107167@N07.jpg');
+    expect(FlickrUrlBuilder.buddyIcon({ nsid: '37107167@N07', iconserver: '0', iconfarm: 0 }))
+      .toBe('https://www.flickr.com/images/buddyicon.gif');
+  });
+});
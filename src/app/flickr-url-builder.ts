@@ -0,0 +1,59 @@
+export type FlickrSize = 's' | 'q' | 't' | 'm' | 'n' | 'w' | 'z' | 'c' | 'b' | 'h' | 'k' | 'o';
+
+// Enregistrement photo tel que renvoyé par flickr.photos.search (avec ou sans extras) ou flickr.photos.getInfo
+export interface FlickrPhotoRecord {
+  id: string;
+  secret?: string;
+  server?: string;
+  originalsecret?: string;
+  originalformat?: string;
+  [extra: string]: any;
+}
+
+// Extra de flickr.photos.search qui contient déjà l'URL d'une taille donnée ('b' = Large 1024 = url_l)
+const EXTRAS_KEY: { [size: string]: string } = {
+  s: 'url_s', q: 'url_q', t: 'url_t', m: 'url_m', n: 'url_n', w: 'url_w',
+  z: 'url_z', c: 'url_c', b: 'url_l', h: 'url_h', k: 'url_k', o: 'url_o'
+};
+
+/**
+ * Construit les URLs statiques Flickr (https://live.staticflickr.com/{server}/{id}_{secret}_{size}.jpg).
+ * Les tailles h et k ont leur propre secret et o utilise originalsecret : sans l'extra correspondant,
+ * on retombe sur la plus grande taille constructible (b).
+ */
+export class FlickrUrlBuilder {
+
+  static photo(record: FlickrPhotoRecord, size: FlickrSize = 'z'): string {
+    if (!record) {
+      return '';
+    }
+    const extra = record[EXTRAS_KEY[size]];
+    if (extra) {
+      return extra;
+    }
+    if (!record.server) {
+      return '';
+    }
+    if (size === 'o') {
+      if (record.originalsecret) {
+        return `https://live.staticflickr.com/${record.server}/${record.id}_${record.originalsecret}_o.${record.originalformat || 'jpg'}`;
+      }
+      return FlickrUrlBuilder.photo(record, 'b');
+    }
+    if (size === 'h' || size === 'k') {
+      return FlickrUrlBuilder.photo(record, 'b');
+    }
+    if (!record.secret) {
+      return '';
+    }
+    return `https://live.staticflickr.com/${record.server}/${record.id}_${record.secret}_${size}.jpg`;
+  }
+
+  // Avatar d'un membre (flickr.people.getInfo), icône par défaut s'il n'en a pas
+  static buddyIcon(person: { nsid: string, iconserver?: string, iconfarm?: number }): string {
+    if (!person || !person.iconserver || person.iconserver === '0') {
+      return 'https://www.flickr.com/images/buddyicon.gif';
+    }
+    return `https://farm${person.iconfarm}.staticflickr.com/${person.iconserver}/buddyicons/${person.nsid}.jpg`;
+  }
+}
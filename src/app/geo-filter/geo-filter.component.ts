@@ -0,0 +1,154 @@
+import { AfterViewInit, Component, ElementRef, OnDestroy, OnInit, ViewChild } from '@angular/core';
+import { ActivatedRoute, Params, Router } from '@angular/router';
+import { Subscription } from 'rxjs';
+import * as L from 'leaflet';
+import { MapService } from '../service/map.service';
+
+@Component({
+  selector: 'app-geo-filter',
+  templateUrl: './geo-filter.component.html',
+  styleUrls: ['./geo-filter.component.css']
+})
+export class GeoFilterComponent implements OnInit, AfterViewInit, OnDestroy {
+
+  @ViewChild('map') mapElement: ElementRef;
+  open = false;
+  mode = 'point';
+  radius = 5;
+  bbox = '';
+  lat = '';
+  lon = '';
+  map: L.Map;
+  shape: L.Layer;
+  boxStart: L.LatLng;
+  querySub: Subscription;
+
+  constructor(private route: ActivatedRoute, private router: Router, private mapService: MapService) { }
+
+  // Même principe que les autres filtres : la zone est lue et écrite dans l'URL (?bbox= ou ?lat=&lon=&radius=)
+  ngOnInit(): void {
+    this.querySub = this.route.queryParamMap.subscribe(query => {
+      this.bbox = query.get('bbox') || '';
+      this.lat = query.get('lat') || '';
+      this.lon = query.get('lon') || '';
+      this.radius = Number(query.get('radius')) || this.radius;
+      if (this.bbox) {
+        this.mode = 'box';
+        this.open = true;
+      } else if (this.lat && this.lon) {
+        this.mode = 'point';
+        this.open = true;
+      }
+      if (this.map) {
+        this.drawShape();
+      }
+    });
+  }
+
+  ngAfterViewInit(): void {
+    this.map = this.mapService.createMap(this.mapElement.nativeElement);
+    this.map.on('click', (event: L.LeafletMouseEvent) => this.onMapClick(event));
+    this.map.on('mousedown', (event: L.LeafletMouseEvent) => this.onBoxStart(event));
+    this.map.on('mousemove', (event: L.LeafletMouseEvent) => this.onBoxMove(event));
+    this.map.on('mouseup', (event: L.LeafletMouseEvent) => this.onBoxEnd(event));
+    this.setMode(this.mode);
+    this.drawShape();
+  }
+
+  ngOnDestroy(): void {
+    this.querySub.unsubscribe();
+    this.map.remove();
+  }
+
+  get active(): boolean {
+    return !!(this.bbox || (this.lat && this.lon));
+  }
+
+  toggle(): void {
+    this.open = !this.open;
+    setTimeout(() => this.map.invalidateSize());
+  }
+
+  setMode(mode: string): void {
+    this.mode = mode;
+    if (mode === 'box') {
+      this.map.dragging.disable();
+    } else {
+      this.map.dragging.enable();
+    }
+  }
+
+  setRadius(radius: string): void {
+    // flickr.photos.search accepte au plus 32 km
+    this.radius = Math.min(Math.max(Number(radius) || 1, 1), 32);
+    if (this.lat && this.lon) {
+      this.updateUrl({ radius: `${this.radius}` });
+    }
+  }
+
+  clear(): void {
+    this.updateUrl({ bbox: null, lat: null, lon: null, radius: null });
+  }
+
+  onMapClick(event: L.LeafletMouseEvent): void {
+    if (this.mode !== 'point') {
+      return;
+    }
+    this.updateUrl({
+      bbox: null,
+      lat: event.latlng.lat.toFixed(5),
+      lon: event.latlng.wrap().lng.toFixed(5),
+      radius: `${this.radius}`
+    });
+  }
+
+  onBoxStart(event: L.LeafletMouseEvent): void {
+    if (this.mode === 'box') {
+      this.boxStart = event.latlng;
+    }
+  }
+
+  onBoxMove(event: L.LeafletMouseEvent): void {
+    if (this.mode === 'box' && this.boxStart) {
+      this.setShape(L.rectangle(L.latLngBounds(this.boxStart, event.latlng), { color: '#6ab04c', weight: 2 }));
+    }
+  }
+
+  onBoxEnd(event: L.LeafletMouseEvent): void {
+    if (this.mode !== 'box' || !this.boxStart) {
+      return;
+    }
+    const bounds = L.latLngBounds(this.boxStart, event.latlng);
+    this.boxStart = null;
+    if (bounds.getNorthEast().equals(bounds.getSouthWest())) {
+      return;
+    }
+    const bbox = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()].map(value => value.toFixed(5)).join(',');
+    this.updateUrl({ bbox, lat: null, lon: null, radius: null });
+  }
+
+  private drawShape(): void {
+    if (this.bbox) {
+      const [west, south, east, north] = this.bbox.split(',').map(Number);
+      this.setShape(L.rectangle([[south, west], [north, east]], { color: '#6ab04c', weight: 2 }));
+    } else if (this.lat && this.lon) {
+      this.setShape(L.circle([Number(this.lat), Number(this.lon)], { radius: this.radius * 1000, color: '#6ab04c', weight: 2 }));
+    } else {
+      this.setShape(null);
+    }
+  }
+
+  private setShape(shape: L.Layer): void {
+    if (this.shape) {
+      this.map.removeLayer(this.shape);
+    }
+    this.shape = shape;
+    if (shape) {
+      shape.addTo(this.map);
+    }
+  }
+
+  private updateUrl(queryParams: Params): void {
+    this.router.navigate([], { relativeTo: this.route, queryParams, queryParamsHandling: 'merge' });
+  }
+}
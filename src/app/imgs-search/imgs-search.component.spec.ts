@@ -1,6 +1,9 @@
 import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
 
 import { ImgsSearchComponent } from './imgs-search.component';
+import { FlickrHtmlPipe } from '../flickr-html.pipe';
 
 describe('ImgsSearchComponent', () => {
   let component: ImgsSearchComponent;
@@ -8,7 +11,8 @@ describe('ImgsSearchComponent', () => {
 
   beforeEach(async () => {
     await TestBed.configureTestingModule({
-      declarations: [ ImgsSearchComponent ]
+      imports: [ HttpClientTestingModule, RouterTestingModule ],
+      declarations: [ ImgsSearchComponent, FlickrHtmlPipe ]
     })
     .compileComponents();
   });
@@ -1,148 +1,397 @@
 import { Output } from '@angular/core';
 import { EventEmitter } from '@angular/core';
-import { Component, OnInit } from '@angular/core';
-import { FlickrgetService } from '../service/flickrget.service';
-import { MongogetService } from '../service/mongoget.service';
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { HttpErrorResponse } from '@angular/common/http';
+import { ActivatedRoute, Router } from '@angular/router';
+import { combineLatest, Subscription } from 'rxjs';
+import { FlickrGroup, FlickrgetService, SearchCursor, SearchQuery } from '../service/flickrget.service';
+import { MongogetService, Recherche } from '../service/mongoget.service';
+import { FlickrUrlBuilder } from '../flickr-url-builder';
 
 
+// Au-delà, une photo dont l'EXIF n'a jamais pu être lu reste hors du filtre "shot with" pour cette visite
+const MAX_CAMERA_ATTEMPTS = 3;
+
 @Component({
   selector: 'app-imgs-search',
   templateUrl: './imgs-search.component.html',
   styleUrls: ['./imgs-search.component.css']
 })
 
-export class ImgsSearchComponent implements OnInit {
+export class ImgsSearchComponent implements OnInit, OnDestroy {
 
   images = [];
-  OwnerImages = [];
+  shownImages = [];
+  camera = '';
+  enriching = false;
+  // Tentatives de lecture EXIF par photo : une photo absente de la réponse (erreur Flickr passagère) est redemandée
+  cameraAttempts = new Map<string, number>();
   keyword: string;
-  img1024: string;
-  imgOrigin: any;
-  titre: string;
-  description: string;
-  owner: string;
-  date: string;
+  mode = 'text';
+  modeKey: string;
+  tags: string[] = [];
+  tagMode = 'any';
+  relatedTags: string[] = [];
+  groupSearch: string;
+  groups: FlickrGroup[] = [];
+  groupsPage = 0;
+  groupsPages = 0;
+  group: FlickrGroup;
+  groupId: string;
+  query: SearchQuery;
+  view = 'grid';
+  cursor: SearchCursor;
+  loading = false;
+  error: string;
+  currentSearch: string;
+  photoId: string;
+  routeSub: Subscription;
 
   @Output() createImg= new EventEmitter<any>(); 
 
-  constructor(private flickrGetService: FlickrgetService,private mongoGetService: MongogetService) { }
-
-  ngOnInit(): void { }
-
-  search(event) {
-    this.keyword = event.target.value.toLowerCase();
-    if (this.keyword && this.keyword.length > 2) {
-      this.mongoGetService.getRecherche(this.keyword).subscribe(data => {
-        if (data != null) {
-          this.images = data['urls'];
-          this.flickrGetService.currPage = data['currPage'];
-          this.flickrGetService.prevKeyword = this.keyword;
-        }else{
-          this.flickrGetService.search_keyword(this.keyword).subscribe(res => {
-            if (res != null) {
-              this.images = res;
-              this.mongoGetService.insertRecherche({name:this.keyword,currPage:this.flickrGetService.currPage,date:new Date().getTime(),urls:this.images}).subscribe(data => {
-                console.log(data);
-              })
-            }
-          });
-        }
-      })
-      
+  constructor(private flickrGetService: FlickrgetService, private mongoGetService: MongogetService,
+              private route: ActivatedRoute, private router: Router) { }
+
+  // L'URL est la source de vérité : /search?q=space&media=photos&min=2020-01-01, /search?tags=moon,night&tag_mode=all
+  // /search?groups=cats liste des groupes, /search?group=<nsid>&q=... cherche dans son pool, et /photo/:id?q=...
+  ngOnInit(): void {
+    this.routeSub = combineLatest([this.route.paramMap, this.route.queryParamMap]).subscribe(([params, query]) => {
+      this.flickrGetService.setMedia(query.get('media') || 'all');
+      this.flickrGetService.setDateMin(query.get('min') || '');
+      this.flickrGetService.setDateMax(query.get('max') || '');
+      this.flickrGetService.setLicense(query.get('license') || '');
+      this.flickrGetService.setSort(query.get('sort') || '');
+      this.flickrGetService.setGeo({
+        bbox: query.get('bbox') || '',
+        lat: query.get('lat') || '',
+        lon: query.get('lon') || '',
+        radius: query.get('radius') || ''
+      });
+
+      this.view = query.get('view') === 'map' ? 'map' : 'grid';
+
+      const camera = query.get('camera') || '';
+      if (camera !== this.camera) {
+        this.camera = camera;
+        this.showImages();
+      }
+
+      const keyword = (query.get('q') || '').toLowerCase();
+      const tags = (query.get('tags') || '').split(',').filter(tag => tag);
+      const tagMode = query.get('tag_mode') === 'all' ? 'all' : 'any';
+      this.tags = tags;
+      this.tagMode = tagMode;
+
+      // Le mode affiché suit l'URL, y compris au retour arrière ou en suivant un lien ?q= ;
+      // il n'est recalculé que si la recherche change, pour garder l'onglet choisi quand seul un filtre bouge
+      const groupSearch = query.get('groups') || '';
+      const modeKey = [keyword, tags.join(','), groupSearch].join('|');
+      if (modeKey !== this.modeKey) {
+        this.modeKey = modeKey;
+        this.mode = groupSearch ? 'groups' : tags.length ? 'tags' : 'text';
+      }
+      if (groupSearch !== this.groupSearch) {
+        this.groupSearch = groupSearch;
+        this.loadGroups(true);
+      }
+      const groupId = query.get('group') || '';
+      if (groupId !== this.groupId) {
+        this.groupId = groupId;
+        this.loadGroup();
+      }
+
+      const searchQuery: SearchQuery = tags.length
+        ? { tags: tags.join(','), tag_mode: tagMode, ...this.flickrGetService.getFilters() }
+        : { text: keyword, ...this.flickrGetService.getFilters() };
+      if (groupId) {
+        searchQuery.group_id = groupId;
+      }
+      const searchKey = JSON.stringify(searchQuery);
+      const geoOnly = !keyword && !tags.length && searchQuery.has_geo === '1';
+      if ((keyword || tags.length || geoOnly || groupId) && searchKey !== this.currentSearch) {
+        this.currentSearch = searchKey;
+        this.cursor = null;
+        this.keyword = keyword;
+        this.query = searchQuery;
+        this.runSearch();
+        this.loadRelatedTags();
+      }
+
+      this.photoId = params.get('id');
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.routeSub.unsubscribe();
+  }
+
+  search(value: string): void {
+    const keyword = value.toLowerCase();
+    if (keyword && keyword.length > 2) {
+      this.router.navigate(['/search'], { queryParams: { q: keyword, tags: null, tag_mode: null }, queryParamsHandling: 'merge' });
+    }
+  }
+
+  setView(view: string): void {
+    this.router.navigate([], {
+      relativeTo: this.route,
+      queryParams: { view: view === 'map' ? 'map' : null },
+      queryParamsHandling: 'merge'
+    });
+  }
+
+  // La carte repart de zéro quand la recherche ou le filtre d'appareil change
+  get mapKey(): string {
+    return `${this.currentSearch} ${this.camera}`;
+  }
+
+  setMode(mode: string): void {
+    this.mode = mode;
+  }
+
+  addTag(value: string): void {
+    const tag = value.trim().toLowerCase().replace(/,/g, '');
+    if (tag && !this.tags.includes(tag)) {
+      this.searchTags(this.tags.concat(tag), this.tagMode);
+    }
+  }
+
+  removeTag(tag: string): void {
+    this.searchTags(this.tags.filter(t => t !== tag), this.tagMode);
+  }
+
+  setTagMode(mode: string): void {
+    this.searchTags(this.tags, mode);
+  }
+
+  searchTags(tags: string[], mode: string): void {
+    this.router.navigate(['/search'], {
+      queryParams: { tags: tags.length ? tags.join(',') : null, tag_mode: mode === 'all' ? 'all' : null, q: null },
+      queryParamsHandling: 'merge'
+    });
+  }
+
+  // Suggestions à partir du dernier tag saisi (flickr.tags.getRelated)
+  loadRelatedTags(): void {
+    this.relatedTags = [];
+    if (!this.tags.length) {
+      return;
+    }
+    this.flickrGetService.getRelatedTags(this.tags[this.tags.length - 1]).subscribe(related => {
+      this.relatedTags = related.filter(tag => !this.tags.includes(tag)).slice(0, 15);
+    }, err => {
+      console.log(err);
+    });
+  }
+
+  // Recherche flickr.groups.search, paginée par le bouton "more groups"
+  loadGroups(reset: boolean): void {
+    if (reset) {
+      this.groups = [];
+      this.groupsPage = 0;
+      this.groupsPages = 0;
     }
-    event.target.blur();
-  }
-
-  onScroll() {    
-    if (this.keyword && this.keyword.length > 0) {
-      this.flickrGetService.search_keyword(this.keyword)
-        .toPromise()
-        .then(res => {
-          this.images = this.images.concat(res);
-          console.log(this.images.length);
-          if (this.images.length % 48 != 0) {
-            this.mongoGetService.updateRecherche({name:this.keyword,currPage:this.flickrGetService.currPage, date:new Date().getTime(),urls:this.images}).subscribe(data => {
-              console.log(data);
-            })
-          }
-        });
+    if (!this.groupSearch) {
+      return;
     }
+    const groupSearch = this.groupSearch;
+    this.flickrGetService.searchGroups(groupSearch, this.groupsPage + 1).subscribe(res => {
+      if (groupSearch !== this.groupSearch) {
+        return;
+      }
+      this.groups = this.groups.concat(res.groups);
+      this.groupsPage = res.page;
+      this.groupsPages = res.pages;
+    }, err => {
+      console.log(err);
+    });
   }
 
-  onImageClick(event) {
-    document.querySelector(".containerImg").setAttribute("style","filter: blur(10px)")
-    document.querySelector(".blurrer").setAttribute("style","display: block");
-    document.querySelector(".original").setAttribute("style","display: block");
-    this.img1024 = event.target.getAttribute("src").replace("_m.jpg","_b.jpg");
-
-    document.querySelector(".imgContainer").setAttribute("style","display: flex");
-    document.querySelector(".info").setAttribute("class","info");
-
-    this.getImgInfo(event);
-  }
-
-  onBlurrerClick(event){
-    document.querySelector(".containerImg").setAttribute("style","filter: unset")
-    document.querySelector(".info").innerHTML = "i";
-    event.target.style.display = "none";
-    event.target.nextElementSibling.style.display = "none";    
-    this.img1024 = "";
-  }
-
-  getImgInfo(event){
-    this.flickrGetService.getInfo(event.target.getAttribute("id")).subscribe(data => {
-      this.titre = data["photo"]["title"]["_content"];
-      this.description = data["photo"]["description"]["_content"];
-      this.owner = data["photo"]["owner"]["username"];
-      this.date = data["photo"]["dates"]["taken"];
-      this.getOwnerImage(data["photo"]["owner"]["nsid"]);
-    })
-  }
-
-  showInfo(){
-    if (document.querySelector(".info").getAttribute("class") == "info") {
-      document.querySelector(".info").setAttribute("class","info infoShow")
-      document.querySelector(".owners").setAttribute("class","owners ownersSlide")
-      document.querySelector(".info").innerHTML = "";
-      setTimeout(() => {
-        document.querySelector(".info").innerHTML = "<h4>" + this.titre.toUpperCase().bold() + "</h4><br><strong><u>Description</u></strong><br>" + this.description + "<br><br><strong><u>Owner</u></strong><br>" + this.owner + "<br><br><strong><u>Date</u></strong><br>" + this.date.slice(0,10) + "<br>";
-      }, 500);
-    } else {
-      document.querySelector(".info").setAttribute("class","info")
-      document.querySelector(".owners").setAttribute("class","owners")
-      document.querySelector(".info").innerHTML = "";
-      setTimeout(() => {
-        document.querySelector(".info").innerHTML = "i";
-      }, 1000);
+  loadGroup(): void {
+    this.group = null;
+    if (!this.groupId) {
+      return;
     }
+    this.flickrGetService.getGroup(this.groupId).subscribe(group => {
+      this.group = group;
+    }, err => {
+      console.log(err);
+    });
   }
 
-  getOwnerImage(owner){
-    this.OwnerImages = [];
-    this.flickrGetService.getOwnersImgs(owner).subscribe( data => {
-      var photos = data["photos"]["photo"];
-      photos.forEach(element => {
-        this.flickrGetService.getSize(element["id"]).subscribe( data1 => {
-          const photoStruck = {
-            thumbnail: data1["sizes"]["size"][0]["source"],
-            original: data1["sizes"]["size"].pop()["source"],
-            id: element["id"]
-          }
-          this.OwnerImages.push(photoStruck)
-        })
+  searchGroups(value: string): void {
+    const text = value.trim();
+    if (text) {
+      this.router.navigate(['/search'], { queryParams: { groups: text }, queryParamsHandling: 'merge' });
+    }
+  }
+
+  selectGroup(id: string): void {
+    this.mode = 'text';
+    this.router.navigate(['/search'], {
+      queryParams: { group: id, groups: null, q: null, tags: null, tag_mode: null },
+      queryParamsHandling: 'merge'
+    });
+  }
+
+  leaveGroup(): void {
+    this.router.navigate(['/search'], { queryParams: { group: null }, queryParamsHandling: 'merge' });
+  }
+
+  groupIcon(group: FlickrGroup): string {
+    return FlickrUrlBuilder.buddyIcon(group);
+  }
+
+  // Pool d'un groupe sans mot-clé, tag ni filtre : on le parcourt avec flickr.groups.pools.getPhotos, sans cache
+  isPoolBrowse(): boolean {
+    const { group_id: groupId, text, media, ...filters } = this.query;
+    return !!groupId && !text && (!media || media === 'all') && !Object.keys(filters).length;
+  }
+
+  // Chaque changement d'URL lance une recherche : les réponses d'une recherche remplacée entre-temps sont ignorées
+  runSearch(): void {
+    const search = this.currentSearch;
+    this.loading = true;
+    this.error = null;
+    if (this.isPoolBrowse()) {
+      this.searchFlickr(search);
+      return;
+    }
+    this.mongoGetService.getRecherche(this.query).subscribe(res => {
+      if (search !== this.currentSearch) {
+        return;
+      }
+      if (res.found) {
+        this.images = res.data.urls;
+        this.cursor = res.data.cursor;
+        this.loading = false;
+        this.showImages();
+      } else {
+        this.searchFlickr(search);
+      }
+    }, err => {
+      console.log(err);
+      if (search === this.currentSearch) {
+        this.searchFlickr(search);
+      }
+    });
+  }
+
+  searchFlickr(search: string): void {
+    const request = this.isPoolBrowse()
+      ? this.flickrGetService.getGroupPool(this.query.group_id)
+      : this.flickrGetService.search(this.query);
+    request.subscribe(res => {
+      if (search !== this.currentSearch) {
+        return;
+      }
+      this.loading = false;
+      this.images = res.images;
+      this.cursor = res.cursor;
+      this.showImages();
+      if (res.cursor.source) {
+        return;
+      }
+      this.mongoGetService.insertRecherche(this.cacheEntry()).subscribe(data => {
+        console.log(data);
+      }, err => this.cacheError(err));
+    }, err => {
+      console.log(err);
+      if (search === this.currentSearch) {
+        this.loading = false;
+        this.error = err.error && err.error.error ? err.error.error : 'The search failed, please try again';
+      }
+    });
+  }
+
+  // Filtre "shot with" : Flickr ne cherche pas par appareil, les photos chargées sont enrichies
+  // de leur appareil EXIF (par lots de 100, en cache côté API) puis filtrées
+  showImages(): void {
+    if (!this.camera) {
+      this.shownImages = this.images;
+      return;
+    }
+    const camera = this.camera.toLowerCase();
+    this.shownImages = this.images.filter(image => image.camera && image.camera.toLowerCase() === camera);
+    const missing = this.images
+      .filter(image => image.camera === undefined && (this.cameraAttempts.get(image.id) || 0) < MAX_CAMERA_ATTEMPTS)
+      .map(image => image.id);
+    if (missing.length && !this.enriching) {
+      this.enrichCameras(missing.slice(0, 100));
+    }
+  }
+
+  enrichCameras(ids: string[]): void {
+    this.enriching = true;
+    ids.forEach(id => this.cameraAttempts.set(id, (this.cameraAttempts.get(id) || 0) + 1));
+    this.flickrGetService.getPhotoCameras(ids).subscribe(cameras => {
+      // null = EXIF masqué ; une photo absente reste undefined pour être redemandée
+      this.images.filter(image => image.id in cameras).forEach(image => {
+        image.camera = cameras[image.id];
       });
-    })
-  }
-
-  ownerImgClick(event){
-    document.querySelector(".original").setAttribute("src","");
-    this.img1024 = event.target.alt;
-    this.getImgInfo(event);
-    if (document.querySelector(".info").innerHTML != "i") {
-      document.querySelector(".info").innerHTML = "";
-      setTimeout(() => {
-        document.querySelector(".info").innerHTML = this.titre.toUpperCase().bold() + "<br><br><strong>Description :</strong><br>" + this.description + "<br><br><strong>Owner :</strong><br>" + this.owner + "<br><br><strong>Date :</strong><br>" + this.date.slice(0,10) + "<br>";
-      }, 500);
+      this.enriching = false;
+      this.showImages();
+    }, err => {
+      console.log(err);
+      this.enriching = false;
+    });
+  }
+
+  clearCamera(): void {
+    this.router.navigate([], { relativeTo: this.route, queryParams: { camera: null }, queryParamsHandling: 'merge' });
+  }
+
+  cacheEntry(): Recherche {
+    const { text, ...filters } = this.cursor.query;
+    return {
+      name: text || '',
+      ...filters,
+      cursor: this.cursor,
+      urls: this.images
+    };
+  }
+
+  // Le cache est facultatif : 409 = la même recherche vient d'être enregistrée (autre onglet, nouvel essai)
+  cacheError(err: HttpErrorResponse): void {
+    if (err.status !== 409) {
+      console.log(err);
+    }
+  }
+
+  onScroll(): void {
+    if (this.loading || !this.flickrGetService.hasNextPage(this.cursor)) {
+      return;
     }
+    this.loading = true;
+    // Une nouvelle recherche lancée pendant le chargement : la page de l'ancienne est ignorée
+    const search = this.currentSearch;
+    this.flickrGetService.nextPage(this.cursor).subscribe(res => {
+      if (search !== this.currentSearch) {
+        return;
+      }
+      this.images = this.images.concat(res.images);
+      this.cursor = res.cursor;
+      this.loading = false;
+      this.showImages();
+      if (res.cursor.source) {
+        return;
+      }
+      this.mongoGetService.updateRecherche(this.cacheEntry()).subscribe(data => {
+        console.log(data);
+      }, err => this.cacheError(err));
+    }, err => {
+      console.log(err);
+      if (search === this.currentSearch) {
+        this.loading = false;
+      }
+    });
+  }
+
+  onImageClick(id: string): void {
+    this.router.navigate(['/photo', id], { queryParamsHandling: 'preserve' });
+  }
+
+  onBlurrerClick(): void {
+    this.router.navigate(['/search'], { queryParamsHandling: 'preserve' });
   }
 }
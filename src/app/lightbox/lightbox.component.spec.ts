@@ -0,0 +1,46 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+import { SimpleChange } from '@angular/core';
+import { environment } from 'src/environments/environment';
+
+import { LightboxComponent } from './lightbox.component';
+import { FlickrHtmlPipe } from '../flickr-html.pipe';
+
+describe('LightboxComponent', () => {
+  let component: LightboxComponent;
+  let fixture: ComponentFixture<LightboxComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [ HttpClientTestingModule, RouterTestingModule ],
+      declarations: [ LightboxComponent, FlickrHtmlPipe ]
+    })
+    .compileComponents();
+  });
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(LightboxComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should ignore the information of a photo left in the meantime', () => {
+    const httpMock = TestBed.inject(HttpTestingController);
+    component.photoId = '1';
+    component.ngOnChanges({ photoId: new SimpleChange(null, '1', false) });
+    component.photoId = '2';
+    component.ngOnChanges({ photoId: new SimpleChange('1', '2', false) });
+
+    httpMock.expectOne(environment.apiUrl + '/flickr/photo/1').flush({ title: { _content: 'First' } });
+    expect(component.photoInfo).toBeNull();
+    expect(component.titre).toBeNull();
+
+    httpMock.expectOne(environment.apiUrl + '/flickr/photo/2').flush({ error: 'down' }, { status: 502, statusText: 'Bad Gateway' });
+    expect(component.infoError).toBe('Photo information is not available');
+  });
+});
@@ -0,0 +1,140 @@
+import { Component, EventEmitter, Input, OnChanges, Output, SimpleChanges } from '@angular/core';
+import { FlickrgetService } from '../service/flickrget.service';
+import { AttributionService } from '../service/attribution.service';
+import { FlickrUrlBuilder } from '../flickr-url-builder';
+
+// Photo en grand avec ses infos et le bandeau des autres photos du propriétaire.
+// L'hôte garde l'état dans son URL : il passe photoId et réagit à closed / imageClick
+@Component({
+  selector: 'app-lightbox',
+  templateUrl: './lightbox.component.html',
+  styleUrls: ['./lightbox.component.css']
+})
+export class LightboxComponent implements OnChanges {
+
+  @Input() photoId: string;
+  @Input() images = [];
+  @Output() closed = new EventEmitter<void>();
+  @Output() imageClick = new EventEmitter<string>();
+
+  ownerImages = [];
+  img1024: string;
+  titre: string;
+  description: string;
+  owner: string;
+  ownerId: string;
+  date: string;
+  photoInfo: any;
+  copied: string;
+  copyFailed = false;
+  infoError: string;
+  infoOpen = false;
+  infoVisible = true;
+  infoTimer: any;
+
+  constructor(private flickrGetService: FlickrgetService, private attributionService: AttributionService) { }
+
+  ngOnChanges(changes: SimpleChanges): void {
+    if (!changes.photoId) {
+      return;
+    }
+    if (this.photoId) {
+      this.openLightbox(this.photoId);
+    } else if (changes.photoId.previousValue) {
+      this.closeLightbox();
+    }
+  }
+
+  openLightbox(id: string): void {
+    const image = this.images.concat(this.ownerImages).find(img => img.id === id);
+    this.img1024 = image ? image.large : '';
+    this.getImgInfo(id);
+  }
+
+  closeLightbox(): void {
+    this.infoOpen = false;
+    this.infoVisible = true;
+    this.img1024 = '';
+  }
+
+  // Les infos (et l'attribution copiée) doivent être celles de la photo affichée :
+  // tout est remis à zéro à l'ouverture et la réponse d'une photo quittée entre-temps est ignorée
+  getImgInfo(id: string): void {
+    this.photoInfo = null;
+    this.titre = null;
+    this.description = null;
+    this.owner = null;
+    this.ownerId = null;
+    this.date = null;
+    this.infoError = null;
+    this.copied = null;
+    this.copyFailed = false;
+    this.flickrGetService.getInfo(id).subscribe(data => {
+      if (id !== this.photoId) {
+        return;
+      }
+      this.photoInfo = data;
+      if (!this.img1024) {
+        this.img1024 = FlickrUrlBuilder.photo(data, 'b');
+      }
+      this.titre = data.title._content;
+      this.description = data.description._content;
+      this.owner = data.owner.username;
+      this.ownerId = data.owner.nsid;
+      this.date = data.dates.taken;
+      this.getOwnerImage(data.owner.nsid);
+    }, err => {
+      console.log(err);
+      if (id === this.photoId) {
+        this.infoError = 'Photo information is not available';
+      }
+    });
+  }
+
+  // navigator.clipboard n'existe qu'en HTTPS (ou sur localhost) et l'écriture peut être refusée par le navigateur
+  copyAttribution(format: 'text' | 'html'): void {
+    const info = this.photoInfo;
+    this.copied = null;
+    this.copyFailed = false;
+    this.flickrGetService.getLicenses().subscribe(licenses => {
+      if (info !== this.photoInfo) {
+        return;
+      }
+      const attribution = this.attributionService.build(info, licenses.find(license => license.id === String(info.license)));
+      if (!navigator.clipboard) {
+        this.copyFailed = true;
+        return;
+      }
+      navigator.clipboard.writeText(attribution[format]).then(() => {
+        this.copied = format;
+      }).catch(err => {
+        console.log(err);
+        this.copyFailed = true;
+      });
+    }, err => {
+      console.log(err);
+      this.copyFailed = true;
+    });
+  }
+
+  // Le panneau s'anime : son contenu n'apparaît qu'une fois la transition CSS terminée
+  showInfo(): void {
+    this.infoOpen = !this.infoOpen;
+    this.infoVisible = false;
+    clearTimeout(this.infoTimer);
+    this.infoTimer = setTimeout(() => {
+      this.infoVisible = true;
+    }, this.infoOpen ? 500 : 1000);
+  }
+
+  getOwnerImage(owner: string): void {
+    const id = this.photoId;
+    this.ownerImages = [];
+    this.flickrGetService.getOwnersImgs(owner).subscribe(data => {
+      if (id !== this.photoId) {
+        return;
+      }
+      this.ownerImages = data.photos.map(pic => this.flickrGetService.toImage(pic));
+    });
+  }
+}
@@ -0,0 +1,60 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+import { FormsModule } from '@angular/forms';
+import { Router } from '@angular/router';
+import { environment } from 'src/environments/environment';
+
+import { LoginComponent } from './login.component';
+import { AuthService } from '../service/auth.service';
+
+describe('LoginComponent', () => {
+  let component: LoginComponent;
+  let fixture: ComponentFixture<LoginComponent>;
+  let httpMock: HttpTestingController;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [ HttpClientTestingModule, RouterTestingModule, FormsModule ],
+      declarations: [ LoginComponent ]
+    })
+    .compileComponents();
+  });
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(LoginComponent);
+    component = fixture.componentInstance;
+    httpMock = TestBed.inject(HttpTestingController);
+    fixture.detectChanges();
+  });
+
+  afterEach(() => {
+    TestBed.inject(AuthService).clear();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should show the error of the API', () => {
+    component.username = 'alice';
+    component.password = 'wrong-password';
+    component.submit();
+
+    httpMock.expectOne(environment.apiUrl + '/auth/login')
+      .flush({ error: 'invalid username or password' }, { status: 401, statusText: 'Unauthorized' });
+    expect(component.error).toBe('invalid username or password');
+  });
+
+  it('should register then leave the login page', () => {
+    const router = TestBed.inject(Router);
+    spyOn(router, 'navigateByUrl');
+    component.toggle();
+    component.username = 'alice';
+    component.password = 'secret-password';
+    component.submit();
+
+    httpMock.expectOne(environment.apiUrl + '/auth/register').flush({ token: 'abc', user: { username: 'alice', admin: false } });
+    expect(router.navigateByUrl).toHaveBeenCalledWith('/');
+  });
+});
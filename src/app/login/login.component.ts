@@ -0,0 +1,43 @@
+import { Component } from '@angular/core';
+import { ActivatedRoute, Router } from '@angular/router';
+import { AuthService } from '../service/auth.service';
+
+// Connexion ou création de compte, puis retour à la page demandée (?returnUrl=)
+@Component({
+  selector: 'app-login',
+  templateUrl: './login.component.html',
+  styleUrls: ['./login.component.css']
+})
+export class LoginComponent {
+
+  username = '';
+  password = '';
+  registering = false;
+  pending = false;
+  error: string;
+
+  constructor(private route: ActivatedRoute, private router: Router, private authService: AuthService) { }
+
+  submit(): void {
+    if (!this.username.trim() || !this.password || this.pending) {
+      return;
+    }
+    this.pending = true;
+    this.error = null;
+    const request = this.registering
+      ? this.authService.register(this.username, this.password)
+      : this.authService.login(this.username, this.password);
+    request.subscribe(() => {
+      this.pending = false;
+      this.router.navigateByUrl(this.route.snapshot.queryParamMap.get('returnUrl') || '/');
+    }, err => {
+      this.pending = false;
+      this.error = (err.error && err.error.error) || 'The server is not available';
+    });
+  }
+
+  toggle(): void {
+    this.registering = !this.registering;
+    this.error = null;
+  }
+}
@@ -0,0 +1,144 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { ActivatedRoute, Router } from '@angular/router';
+import { combineLatest, Subscription } from 'rxjs';
+import { FlickrUrlBuilder } from '../flickr-url-builder';
+import { FlickrAlbum, FlickrgetService, SearchCursor, SearchPage } from '../service/flickrget.service';
+
+export type OwnerTab = 'photos' | 'favorites' | 'albums';
+
+@Component({
+  selector: 'app-owner',
+  templateUrl: './owner.component.html',
+  styleUrls: ['./owner.component.css']
+})
+export class OwnerComponent implements OnInit, OnDestroy {
+
+  nsid: string;
+  tab: OwnerTab = 'photos';
+  person: any;
+  images = [];
+  cursor: SearchCursor;
+  albums: FlickrAlbum[] = [];
+  albumPage = 0;
+  albumPages = 1;
+  loading = false;
+  error: string;
+  routeSub: Subscription;
+
+  constructor(private route: ActivatedRoute, private router: Router, private flickrGetService: FlickrgetService) { }
+
+  ngOnInit(): void {
+    this.routeSub = combineLatest([this.route.paramMap, this.route.queryParamMap]).subscribe(([params, query]) => {
+      const nsid = params.get('nsid');
+      const tab = (query.get('tab') || 'photos') as OwnerTab;
+      if (nsid !== this.nsid) {
+        this.nsid = nsid;
+        this.loadProfile();
+      } else if (tab === this.tab) {
+        return;
+      }
+      this.tab = tab;
+      this.loadTab();
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.routeSub.unsubscribe();
+  }
+
+  loadProfile(): void {
+    this.person = null;
+    this.error = null;
+    this.flickrGetService.getOwner(this.nsid).subscribe(data => {
+      this.person = data;
+    }, err => {
+      this.error = 'Unknown Flickr member';
+    });
+  }
+
+  loadTab(): void {
+    this.images = [];
+    this.cursor = null;
+    this.albums = [];
+    this.albumPage = 0;
+    this.albumPages = 1;
+    this.loading = false;
+    this.onScroll();
+  }
+
+  setTab(tab: OwnerTab): void {
+    this.router.navigate([], { relativeTo: this.route, queryParams: { tab: tab === 'photos' ? null : tab }, queryParamsHandling: 'merge' });
+  }
+
+  onScroll(): void {
+    if (this.loading) {
+      return;
+    }
+    if (this.tab === 'albums') {
+      this.loadAlbums();
+    } else {
+      this.loadPhotos();
+    }
+  }
+
+  // Première page selon l'onglet, puis le curseur suffit pour les suivantes
+  loadPhotos(): void {
+    if (this.cursor && !this.flickrGetService.hasNextPage(this.cursor)) {
+      return;
+    }
+    const request = this.cursor ? this.flickrGetService.nextPage(this.cursor)
+      : this.tab === 'favorites' ? this.flickrGetService.getOwnerFavorites(this.nsid)
+      : this.flickrGetService.getOwnerPhotos(this.nsid);
+    // Réponse d'un autre onglet ou d'un autre membre (le composant est réutilisé de /owner/A à /owner/B) : ignorée
+    const nsid = this.nsid;
+    const tab = this.tab;
+    this.loading = true;
+    request.subscribe((res: SearchPage) => {
+      if (nsid !== this.nsid || tab !== this.tab) {
+        return;
+      }
+      this.cursor = res.cursor;
+      this.images = this.images.concat(res.images);
+      this.loading = false;
+    }, err => {
+      console.log(err);
+      if (nsid === this.nsid && tab === this.tab) {
+        this.loading = false;
+      }
+    });
+  }
+
+  loadAlbums(): void {
+    if (this.albumPage >= this.albumPages) {
+      return;
+    }
+    const nsid = this.nsid;
+    this.loading = true;
+    this.flickrGetService.getOwnerAlbums(nsid, this.albumPage + 1).subscribe(res => {
+      if (nsid !== this.nsid || this.tab !== 'albums') {
+        return;
+      }
+      this.albumPage = res.page;
+      this.albumPages = res.pages;
+      this.albums = this.albums.concat(res.albums);
+      this.loading = false;
+    }, err => {
+      console.log(err);
+      if (nsid === this.nsid && this.tab === 'albums') {
+        this.loading = false;
+      }
+    });
+  }
+
+  onImageClick(id: string): void {
+    this.router.navigate(['/photo', id, 'details']);
+  }
+
+  get buddyIcon(): string {
+    return FlickrUrlBuilder.buddyIcon(this.person);
+  }
+
+  albumCover(album: FlickrAlbum): string {
+    return FlickrUrlBuilder.photo(album.cover, 'q');
+  }
+}
@@ -0,0 +1,30 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { FormsModule } from '@angular/forms';
+import { RouterTestingModule } from '@angular/router/testing';
+
+import { PhotoDetailComponent } from './photo-detail.component';
+import { FlickrHtmlPipe } from '../flickr-html.pipe';
+
+describe('PhotoDetailComponent', () => {
+  let component: PhotoDetailComponent;
+  let fixture: ComponentFixture<PhotoDetailComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [ FormsModule, HttpClientTestingModule, RouterTestingModule ],
+      declarations: [ PhotoDetailComponent, FlickrHtmlPipe ]
+    })
+    .compileComponents();
+  });
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(PhotoDetailComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+});
@@ -0,0 +1,87 @@
+import { Component, ElementRef, OnDestroy, OnInit, ViewChild } from '@angular/core';
+import { ActivatedRoute } from '@angular/router';
+import { Subscription } from 'rxjs';
+import * as L from 'leaflet';
+import { FlickrgetService, FLICKR_LICENSES } from '../service/flickrget.service';
+import { MapService } from '../service/map.service';
+
+@Component({
+  selector: 'app-photo-detail',
+  templateUrl: './photo-detail.component.html',
+  styleUrls: ['./photo-detail.component.css']
+})
+export class PhotoDetailComponent implements OnInit, OnDestroy {
+
+  photoId: string;
+  info: any;
+  camera: string;
+  exif = [];
+  exifError: string;
+  sizes = [];
+  selectedSize: any;
+  routeSub: Subscription;
+  map: L.Map;
+
+  constructor(private route: ActivatedRoute, private flickrGetService: FlickrgetService, private mapService: MapService) { }
+
+  // La carte n'existe que si la photo est géolocalisée (*ngIf), elle est créée quand l'élément apparaît
+  @ViewChild('locationMap') set locationMap(element: ElementRef) {
+    if (this.map) {
+      this.map.remove();
+      this.map = null;
+    }
+    if (element) {
+      const position: L.LatLngExpression = [Number(this.info.location.latitude), Number(this.info.location.longitude)];
+      this.map = this.mapService.createMap(element.nativeElement, position, 12);
+      this.mapService.pin(position).addTo(this.map);
+    }
+  }
+
+  ngOnInit(): void {
+    this.routeSub = this.route.paramMap.subscribe(params => {
+      this.load(params.get('id'));
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.routeSub.unsubscribe();
+    if (this.map) {
+      this.map.remove();
+    }
+  }
+
+  load(id: string): void {
+    this.photoId = id;
+    this.info = null;
+    this.camera = null;
+    this.exif = [];
+    this.exifError = null;
+    this.sizes = [];
+    this.selectedSize = null;
+
+    this.flickrGetService.getInfo(id).subscribe(data => {
+      this.info = data;
+    });
+
+    // L'EXIF peut être masqué par le propriétaire : Flickr répond alors par une erreur
+    this.flickrGetService.getExif(id).subscribe(data => {
+      this.camera = data.camera;
+      this.exif = data.exif;
+    }, err => {
+      this.exifError = 'EXIF not available for this photo';
+    });
+
+    this.flickrGetService.getSize(id).subscribe(data => {
+      this.sizes = data;
+      this.selectedSize = data.find(size => size.label === 'Large') || data[data.length - 1];
+    });
+  }
+
+  get licenseName(): string {
+    return FLICKR_LICENSES[this.info.license] || `License #${this.info.license}`;
+  }
+
+  get hasLocation(): boolean {
+    return this.info && this.info.location != null;
+  }
+}
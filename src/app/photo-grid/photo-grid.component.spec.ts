@@ -0,0 +1,37 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { InfiniteScrollModule } from 'ngx-infinite-scroll';
+
+import { PhotoGridComponent } from './photo-grid.component';
+
+describe('PhotoGridComponent', () => {
+  let component: PhotoGridComponent;
+  let fixture: ComponentFixture<PhotoGridComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [ InfiniteScrollModule ],
+      declarations: [ PhotoGridComponent ]
+    })
+    .compileComponents();
+  });
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(PhotoGridComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should emit the id of the clicked image', () => {
+    let clicked: string;
+    component.imageClick.subscribe(id => clicked = id);
+    component.images = [{ id: '42', small: 'https://live.staticflickr.com/1/42_s_m.jpg', title: 'Moon' }];
+    fixture.detectChanges();
+
+    fixture.nativeElement.querySelector('img').click();
+    expect(clicked).toBe('42');
+  });
+});
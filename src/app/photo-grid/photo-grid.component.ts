@@ -0,0 +1,20 @@
+import { Component, EventEmitter, Input, Output } from '@angular/core';
+
+// Grille de vignettes avec scroll infini, partagée par la recherche et les pages de listes
+@Component({
+  selector: 'app-photo-grid',
+  templateUrl: './photo-grid.component.html',
+  styleUrls: ['./photo-grid.component.css']
+})
+export class PhotoGridComponent {
+
+  @Input() images = [];
+  // Actions au survol d'une vignette : ajout à un board, retrait (vue d'un board)
+  @Input() boardPicker = false;
+  @Input() removable = false;
+  @Output() imageClick = new EventEmitter<string>();
+  @Output() scrolled = new EventEmitter<void>();
+  @Output() remove = new EventEmitter<string>();
+
+  constructor() { }
+}
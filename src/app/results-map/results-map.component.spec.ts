@@ -0,0 +1,36 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { SimpleChange } from '@angular/core';
+
+import { ResultsMapComponent } from './results-map.component';
+
+describe('ResultsMapComponent', () => {
+  let component: ResultsMapComponent;
+  let fixture: ComponentFixture<ResultsMapComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      declarations: [ ResultsMapComponent ]
+    })
+    .compileComponents();
+  });
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(ResultsMapComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should place photos on the equator and start over on a new search', () => {
+    component.images = [{ id: '1', title: 'Quito', latitude: 0, longitude: -78.5 }];
+    component.ngOnChanges({ images: new SimpleChange([], component.images, false) });
+    expect(component.placed.has('1')).toBeTrue();
+
+    component.images = [{ id: '1', title: 'Quito', latitude: null, longitude: null }];
+    component.ngOnChanges({ searchKey: new SimpleChange('a', 'b', false) });
+    expect(component.placed.size).toBe(0);
+  });
+});
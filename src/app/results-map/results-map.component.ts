@@ -0,0 +1,64 @@
+import { AfterViewInit, Component, ElementRef, EventEmitter, Input, OnChanges, OnDestroy, Output, SimpleChanges, ViewChild } from '@angular/core';
+import * as L from 'leaflet';
+import 'leaflet.markercluster';
+import { MapService } from '../service/map.service';
+
+@Component({
+  selector: 'app-results-map',
+  templateUrl: './results-map.component.html',
+  styleUrls: ['./results-map.component.css']
+})
+export class ResultsMapComponent implements AfterViewInit, OnChanges, OnDestroy {
+
+  @Input() images = [];
+  // Change à chaque nouvelle recherche (ou nouveau filtre) : les marqueurs repartent de zéro
+  @Input() searchKey: string;
+  @Output() imageClick = new EventEmitter<string>();
+  @ViewChild('map') mapElement: ElementRef;
+  map: L.Map;
+  cluster: L.MarkerClusterGroup;
+  // Ids déjà placés : le scroll infini concatène les pages, seules les nouvelles photos sont ajoutées
+  placed = new Set<string>();
+  geotagged = 0;
+
+  constructor(private mapService: MapService) { }
+
+  ngAfterViewInit(): void {
+    this.map = this.mapService.createMap(this.mapElement.nativeElement);
+    this.cluster = L.markerClusterGroup();
+    this.map.addLayer(this.cluster);
+    setTimeout(() => this.update(true));
+  }
+
+  ngOnChanges(changes: SimpleChanges): void {
+    if (this.map) {
+      this.update(!!changes.searchKey);
+    }
+  }
+
+  ngOnDestroy(): void {
+    this.map.remove();
+  }
+
+  private update(reset: boolean): void {
+    if (reset) {
+      this.cluster.clearLayers();
+      this.placed.clear();
+      this.geotagged = 0;
+    }
+    const fit = !this.geotagged;
+    const markers = this.images
+      .filter(image => image.latitude != null && image.longitude != null && !this.placed.has(image.id))
+      .map(image => {
+        this.placed.add(image.id);
+        return this.mapService.pin([image.latitude, image.longitude])
+          .bindTooltip(image.title || image.id)
+          .on('click', () => this.imageClick.emit(image.id));
+      });
+    this.geotagged += markers.length;
+    this.cluster.addLayers(markers);
+    if (fit && markers.length) {
+      this.map.fitBounds(this.cluster.getBounds(), { maxZoom: 12 });
+    }
+  }
+}
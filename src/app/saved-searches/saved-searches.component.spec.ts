@@ -0,0 +1,34 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+
+import { SavedSearchesComponent } from './saved-searches.component';
+
+describe('SavedSearchesComponent', () => {
+  let component: SavedSearchesComponent;
+  let fixture: ComponentFixture<SavedSearchesComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [ HttpClientTestingModule, RouterTestingModule ],
+      declarations: [ SavedSearchesComponent ]
+    })
+    .compileComponents();
+  });
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(SavedSearchesComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should recognise the search on screen', () => {
+    component.current = { q: 'moon', media: 'photos' };
+    expect(component.isCurrent({ name: 'Moon', params: { media: 'photos', q: 'moon' } })).toBeTrue();
+    expect(component.isCurrent({ name: 'Moon', params: { q: 'moon', media: 'videos' } })).toBeFalse();
+  });
+});
@@ -0,0 +1,88 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { ActivatedRoute, Router } from '@angular/router';
+import { Subscription } from 'rxjs';
+import { SavedSearch, SavedSearchService } from '../service/saved-search.service';
+
+// Barre latérale des recherches enregistrées : une recherche = les paramètres de l'URL /search
+@Component({
+  selector: 'app-saved-searches',
+  templateUrl: './saved-searches.component.html',
+  styleUrls: ['./saved-searches.component.css']
+})
+export class SavedSearchesComponent implements OnInit, OnDestroy {
+
+  searches: SavedSearch[] = [];
+  current: { [param: string]: string } = {};
+  open = false;
+  error: string;
+  querySub: Subscription;
+
+  constructor(private route: ActivatedRoute, private router: Router, private savedSearchService: SavedSearchService) { }
+
+  ngOnInit(): void {
+    this.querySub = this.route.queryParamMap.subscribe(query => {
+      const params = {};
+      query.keys.forEach(key => params[key] = query.get(key));
+      this.current = SavedSearchService.fromQuery(params);
+    });
+    this.savedSearchService.list().subscribe(searches => {
+      this.searches = searches;
+    }, err => {
+      this.error = 'Saved searches are not available';
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.querySub.unsubscribe();
+  }
+
+  get newCount(): number {
+    return this.searches.reduce((total, search) => total + (search.newCount || 0), 0);
+  }
+
+  get canSave(): boolean {
+    return !!(this.current.q || this.current.tags || this.current.group || this.current.bbox || this.current.lat);
+  }
+
+  get defaultName(): string {
+    return this.current.q || (this.current.tags || '').split(',').join(' + ') || '';
+  }
+
+  isCurrent(search: SavedSearch): boolean {
+    return JSON.stringify(SavedSearchService.fromQuery(search.params)) === JSON.stringify(this.current);
+  }
+
+  save(name: string): void {
+    name = name.trim();
+    if (!name || !this.canSave) {
+      return;
+    }
+    this.savedSearchService.create({ name, params: this.current }).subscribe(search => {
+      this.searches = [search].concat(this.searches);
+      this.error = null;
+    }, err => {
+      this.error = 'Could not save this search';
+    });
+  }
+
+  // Remplace les paramètres d'une recherche enregistrée par ceux de la recherche affichée
+  overwrite(search: SavedSearch): void {
+    this.savedSearchService.update({ ...search, params: this.current }).subscribe(updated => {
+      this.searches = [updated].concat(this.searches.filter(s => s._id !== search._id));
+    }, err => {
+      this.error = 'Could not update this search';
+    });
+  }
+
+  remove(search: SavedSearch): void {
+    this.savedSearchService.delete(search._id).subscribe(() => {
+      this.searches = this.searches.filter(s => s._id !== search._id);
+    }, err => {
+      this.error = 'Could not delete this search';
+    });
+  }
+
+  run(search: SavedSearch): void {
+    this.router.navigate(['/search'], { queryParams: search.params });
+  }
+}
@@ -0,0 +1,39 @@
+import { TestBed } from '@angular/core/testing';
+
+import { AttributionService } from './attribution.service';
+
+describe('AttributionService', () => {
+  let service: AttributionService;
+  const info = {
+    id: '8432423659',
+    title: { _content: 'Moon <rise>' },
+    owner: { nsid: '37107167@N07', username: 'jdoe', realname: 'Jane Doe' },
+    urls: { url: [{ type: 'photopage', _content: 'https://www.flickr.com/photos/37107167@N07/8432423659/' }] }
+  };
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({});
+    service = TestBed.inject(AttributionService);
+  });
+
+  it('should be created', () => {
+    expect(service).toBeTruthy();
+  });
+
+  it('should build TASL text and escaped html', () => {
+    const attribution = service.build(info, { id: '4', name: 'Attribution License', url: 'https://creativecommons.org/licenses/by/2.0/' });
+
+    expect(attribution.text).toBe('"Moon <rise>" by Jane Doe (https://www.flickr.com/photos/37107167@N07/8432423659/)'
+      + ' is licensed under Attribution License (https://creativecommons.org/licenses/by/2.0/).');
+    expect(attribution.html).toBe('<a href="https://www.flickr.com/photos/37107167@N07/8432423659/">Moon &lt;rise&gt;</a>'
+      + ' by <a href="https://www.flickr.com/photos/37107167@N07/">Jane Doe</a>'
+      + ' is licensed under <a href="https://creativecommons.org/licenses/by/2.0/">Attribution License</a>.');
+  });
+
+  it('should credit all rights reserved photos without a license link', () => {
+    const attribution = service.build(info, { id: '0', name: 'All Rights Reserved', url: '' });
+
+    expect(attribution.text).toContain('is licensed under All Rights Reserved.');
+    expect(attribution.html).toContain('is licensed under All Rights Reserved.');
+  });
+});
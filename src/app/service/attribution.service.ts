@@ -0,0 +1,38 @@
+import { Injectable } from '@angular/core';
+import { FlickrLicense } from './flickrget.service';
+
+export interface Attribution {
+  text: string;
+  html: string;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+
+export class AttributionService {
+
+  // Crédit au format TASL (Title, Author, Source, License) à partir de flickr.photos.getInfo
+  build(info: any, license: FlickrLicense): Attribution {
+    const title = info.title._content || 'Untitled';
+    const author = info.owner.realname || info.owner.username;
+    const authorUrl = `https://www.flickr.com/photos/${info.owner.nsid}/`;
+    const photoPage = info.urls.url.find(url => url.type === 'photopage');
+    const source = photoPage ? photoPage._content : `${authorUrl}${info.id}/`;
+    const licenseName = license ? license.name : 'All Rights Reserved';
+    const licenseUrl = license && license.url ? license.url : null;
+
+    const text = `"${title}" by ${author} (${source}) is licensed under ${licenseName}`
+      + (licenseUrl ? ` (${licenseUrl})` : '') + '.';
+    const html = `<a href="${this.escape(source)}">${this.escape(title)}</a>`
+      + ` by <a href="${this.escape(authorUrl)}">${this.escape(author)}</a>`
+      + ' is licensed under '
+      + (licenseUrl ? `<a href="${this.escape(licenseUrl)}">${this.escape(licenseName)}</a>` : this.escape(licenseName))
+      + '.';
+    return { text, html };
+  }
+
+  private escape(value: string): string {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+}
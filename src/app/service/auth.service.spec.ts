@@ -0,0 +1,48 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { environment } from 'src/environments/environment';
+
+import { AuthService } from './auth.service';
+
+describe('AuthService', () => {
+  let service: AuthService;
+  let httpMock: HttpTestingController;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule]
+    });
+    service = TestBed.inject(AuthService);
+    httpMock = TestBed.inject(HttpTestingController);
+    service.clear();
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+    service.clear();
+  });
+
+  it('should be created', () => {
+    expect(service).toBeTruthy();
+  });
+
+  it('should keep the session after login', () => {
+    service.login('alice', 'secret-password').subscribe();
+
+    const req = httpMock.expectOne(environment.apiUrl + '/auth/login');
+    expect(req.request.body).toEqual({ username: 'alice', password: 'secret-password' });
+    req.flush({ token: 'abc', user: { username: 'alice', admin: false } });
+
+    expect(service.isLoggedIn).toBeTrue();
+    expect(service.token).toBe('abc');
+    expect(service.user.username).toBe('alice');
+  });
+
+  it('should forget the session on logout even if the API fails', () => {
+    localStorage.setItem('auth.token', 'abc');
+    service.logout().subscribe({ error: () => { } });
+
+    httpMock.expectOne(environment.apiUrl + '/auth/logout').flush({ error: 'down' }, { status: 500, statusText: 'Error' });
+    expect(service.isLoggedIn).toBeFalse();
+  });
+});
@@ -0,0 +1,70 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { tap } from 'rxjs/operators';
+import { environment } from 'src/environments/environment';
+
+export interface AuthUser {
+  username: string;
+  admin: boolean;
+}
+
+export interface AuthSession {
+  token: string;
+  user: AuthUser;
+}
+
+// Jeton et utilisateur gardés dans le localStorage : la session survit au rechargement de la page
+const TOKEN_KEY = 'auth.token';
+const USER_KEY = 'auth.user';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class AuthService {
+
+  constructor(private http: HttpClient) { }
+
+  get token(): string {
+    return localStorage.getItem(TOKEN_KEY);
+  }
+
+  get user(): AuthUser {
+    const user = localStorage.getItem(USER_KEY);
+    return user ? JSON.parse(user) : null;
+  }
+
+  get isLoggedIn(): boolean {
+    return this.token != null;
+  }
+
+  login(username: string, password: string): Observable<AuthSession> {
+    return this.http.post<AuthSession>(`${environment.apiUrl}/auth/login`, { username, password })
+      .pipe(tap(session => this.store(session)));
+  }
+
+  register(username: string, password: string): Observable<AuthSession> {
+    return this.http.post<AuthSession>(`${environment.apiUrl}/auth/register`, { username, password })
+      .pipe(tap(session => this.store(session)));
+  }
+
+  me(): Observable<AuthUser> {
+    return this.http.get<AuthUser>(`${environment.apiUrl}/auth/me`);
+  }
+
+  // La session est oubliée côté client même si l'API ne répond pas
+  logout(): Observable<void> {
+    return this.http.post<void>(`${environment.apiUrl}/auth/logout`, {})
+      .pipe(tap({ complete: () => this.clear(), error: () => this.clear() }));
+  }
+
+  clear(): void {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+  }
+
+  private store(session: AuthSession): void {
+    localStorage.setItem(TOKEN_KEY, session.token);
+    localStorage.setItem(USER_KEY, JSON.stringify(session.user));
+  }
+}
@@ -0,0 +1,37 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { environment } from 'src/environments/environment';
+
+import { BoardService } from './board.service';
+
+describe('BoardService', () => {
+  let service: BoardService;
+  let httpMock: HttpTestingController;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule]
+    });
+    service = TestBed.inject(BoardService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+  });
+
+  it('should be created', () => {
+    expect(service).toBeTruthy();
+  });
+
+  it('should add a photo by id and let the API snapshot it', () => {
+    service.addPhoto('b1', '42').subscribe(photo => {
+      expect(photo.title).toBe('Moon');
+    });
+
+    const req = httpMock.expectOne(environment.apiUrl + '/boards/b1/photos');
+    expect(req.request.method).toBe('POST');
+    expect(req.request.body).toEqual({ photoId: '42' });
+    req.flush({ id: '42', title: 'Moon' });
+  });
+});
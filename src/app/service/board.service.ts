@@ -0,0 +1,65 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from 'src/environments/environment';
+import { FlickrPic } from './flickrget.service';
+
+// Photo telle que copiée depuis flickr.photos.getInfo au moment de l'ajout au board
+export interface BoardPhoto extends FlickrPic {
+  description: string;
+  url: string;
+  addedAt: string;
+}
+
+export interface BoardSummary {
+  _id: string;
+  name: string;
+  count: number;
+  cover?: BoardPhoto;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface Board {
+  _id: string;
+  name: string;
+  photos: BoardPhoto[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class BoardService {
+
+  constructor(private http: HttpClient) { }
+
+  list(): Observable<BoardSummary[]> {
+    return this.http.get<BoardSummary[]>(`${environment.apiUrl}/boards`);
+  }
+
+  get(id: string): Observable<Board> {
+    return this.http.get<Board>(`${environment.apiUrl}/boards/${id}`);
+  }
+
+  create(name: string): Observable<Board> {
+    return this.http.post<Board>(`${environment.apiUrl}/boards`, { name });
+  }
+
+  rename(id: string, name: string): Observable<Board> {
+    return this.http.put<Board>(`${environment.apiUrl}/boards/${id}`, { name });
+  }
+
+  delete(id: string): Observable<void> {
+    return this.http.delete<void>(`${environment.apiUrl}/boards/${id}`);
+  }
+
+  addPhoto(id: string, photoId: string): Observable<BoardPhoto> {
+    return this.http.post<BoardPhoto>(`${environment.apiUrl}/boards/${id}/photos`, { photoId });
+  }
+
+  removePhoto(id: string, photoId: string): Observable<void> {
+    return this.http.delete<void>(`${environment.apiUrl}/boards/${id}/photos/${photoId}`);
+  }
+}
@@ -1,16 +1,105 @@
 import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { environment } from 'src/environments/environment';
 
-import { FlickrgetService } from './flickrget.service';
+import { FlickrgetService, SearchCursor } from './flickrget.service';
 
 describe('FlickrgetService', () => {
   let service: FlickrgetService;
+  let httpMock: HttpTestingController;
 
   beforeEach(() => {
-    TestBed.configureTestingModule({});
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule]
+    });
     service = TestBed.inject(FlickrgetService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
   });
 
   it('should be created', () => {
     expect(service).toBeTruthy();
   });
+
+  it('should return a cursor on the first page of a search', () => {
+    service.setMedia('photos');
+    service.search({ text: 'space', ...service.getFilters() }).subscribe(res => {
+      expect(res.cursor).toEqual({ query: { text: 'space', media: 'photos' }, page: 1, pages: 3, total: 130 });
+      expect(res.images.length).toBe(0);
+    });
+
+    const req = httpMock.expectOne(r => r.url === `${environment.apiUrl}/flickr/search`);
+    expect(req.request.params.get('text')).toBe('space');
+    expect(req.request.params.get('page')).toBe('1');
+    req.flush({ page: 1, pages: 3, total: 130, photos: [] });
+  });
+
+  it('should fetch the next page with the query of the cursor', () => {
+    const cursor: SearchCursor = { query: { text: 'space', media: 'videos', sort: 'interestingness-desc' }, page: 1, pages: 3, total: 130 };
+    service.setMedia('photos');
+    service.setSort('date-posted-desc');
+
+    service.nextPage(cursor).subscribe(res => {
+      expect(res.cursor.page).toBe(2);
+      expect(res.cursor.query).toEqual(cursor.query);
+    });
+
+    const req = httpMock.expectOne(r => r.url === `${environment.apiUrl}/flickr/search`);
+    expect(req.request.params.get('media')).toBe('videos');
+    expect(req.request.params.get('sort')).toBe('interestingness-desc');
+    expect(req.request.params.get('page')).toBe('2');
+    req.flush({ page: 2, pages: 3, total: 130, photos: [] });
+  });
+
+  it('should search tags with their mode', () => {
+    service.search({ tags: 'moon,night', tag_mode: 'all', ...service.getFilters() }).subscribe(res => {
+      expect(res.cursor.query.tags).toBe('moon,night');
+      expect(res.cursor.query.text).toBeUndefined();
+    });
+
+    const req = httpMock.expectOne(r => r.url === `${environment.apiUrl}/flickr/search`);
+    expect(req.request.params.get('tags')).toBe('moon,night');
+    expect(req.request.params.get('tag_mode')).toBe('all');
+    req.flush({ page: 1, pages: 1, total: 0, photos: [] });
+  });
+
+  it('should page an owner photostream through its own route', () => {
+    service.getOwnerPhotos('12345@N00').subscribe(res => {
+      expect(res.cursor.source).toBe('/flickr/people/12345@N00/photos');
+      service.nextPage(res.cursor).subscribe();
+    });
+
+    httpMock.expectOne(r => r.url === `${environment.apiUrl}/flickr/people/12345@N00/photos`)
+      .flush({ page: 1, pages: 2, total: 60, photos: [] });
+    const req = httpMock.expectOne(r => r.url === `${environment.apiUrl}/flickr/people/12345@N00/photos`);
+    expect(req.request.params.get('page')).toBe('2');
+    req.flush({ page: 2, pages: 2, total: 60, photos: [] });
+  });
+
+  it('should search within a group pool with group_id', () => {
+    service.search({ text: 'cat', group_id: '34427469792@N01' }).subscribe();
+
+    const req = httpMock.expectOne(r => r.url === `${environment.apiUrl}/flickr/search`);
+    expect(req.request.params.get('group_id')).toBe('34427469792@N01');
+    req.flush({ page: 1, pages: 1, total: 0, photos: [] });
+  });
+
+  it('should ask the EXIF camera of several photos at once', () => {
+    service.getPhotoCameras(['1', '2']).subscribe(cameras => {
+      expect(cameras['1']).toBe('Canon EOS 5D Mark III');
+      expect(cameras['2']).toBeNull();
+    });
+
+    const req = httpMock.expectOne(r => r.url === `${environment.apiUrl}/flickr/cameras/photos`);
+    expect(req.request.params.get('ids')).toBe('1,2');
+    req.flush({ 1: 'Canon EOS 5D Mark III', 2: null });
+  });
+
+  it('should stop paginating on the last page', () => {
+    expect(service.hasNextPage({ query: { text: 'space' }, page: 2, pages: 3, total: 130 })).toBeTrue();
+    expect(service.hasNextPage({ query: { text: 'space' }, page: 3, pages: 3, total: 130 })).toBeFalse();
+  });
 });
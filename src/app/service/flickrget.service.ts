@@ -1,7 +1,9 @@
 import { Injectable } from '@angular/core';
 import { HttpClient } from '@angular/common/http';
-import { map } from 'rxjs/operators';
+import { Observable } from 'rxjs';
+import { map, shareReplay } from 'rxjs/operators';
 import { environment } from 'src/environments/environment';
+import { FlickrPhotoRecord, FlickrUrlBuilder } from '../flickr-url-builder';
 
 export interface FlickrPic {
   farm: string;
@@ -9,12 +11,142 @@ export interface FlickrPic {
   secret: string;
   server: string;
   title: string;
+  owner?: string;
+  ownername?: string;
+  license?: string;
+  latitude?: number;
+  longitude?: number;
+  datetaken?: string;
+  url_q?: string;
+  url_m?: string;
+  url_l?: string;
+  url_o?: string;
+  originalsecret?: string;
+  originalformat?: string;
+  width_o?: number;
+  height_o?: number;
+}
+
+export interface FlickrLicense {
+  id: string;
+  name: string;
+  url: string;
 }
 
 export interface FlickrOut {
-  photos: {
-    photo : FlickrPic[];
-  };
+  page: number;
+  pages: number;
+  total: number;
+  photos: FlickrPic[];
+}
+
+// Identifiants des licences Flickr (flickr.photos.licenses.getInfo)
+export const FLICKR_LICENSES: { [id: string]: string } = {
+  0: 'All Rights Reserved',
+  1: 'CC BY-NC-SA 2.0',
+  2: 'CC BY-NC 2.0',
+  3: 'CC BY-NC-ND 2.0',
+  4: 'CC BY 2.0',
+  5: 'CC BY-SA 2.0',
+  6: 'CC BY-ND 2.0',
+  7: 'No known copyright restrictions',
+  8: 'United States Government Work',
+  9: 'Public Domain Dedication (CC0)',
+  10: 'Public Domain Mark'
+};
+
+export interface SearchFilters {
+  media?: string;
+  min_upload_date?: string;
+  max_upload_date?: string;
+  license?: string;
+  sort?: string;
+  bbox?: string;
+  lat?: string;
+  lon?: string;
+  radius?: string;
+  has_geo?: string;
+}
+
+// Zone géographique : soit un rectangle (bbox = "minLon,minLat,maxLon,maxLat"), soit un point et un rayon en km
+export interface GeoFilter {
+  bbox?: string;
+  lat?: string;
+  lon?: string;
+  radius?: string;
+}
+
+// Recherche plein texte (text) ou par tags (tags séparés par des virgules, tag_mode any/all),
+// éventuellement limitée au pool d'un groupe (group_id). date : jour de l'Explore (source /flickr/explore)
+export interface SearchQuery extends SearchFilters {
+  text?: string;
+  tags?: string;
+  tag_mode?: string;
+  group_id?: string;
+  date?: string;
+}
+
+// Position dans une recherche : renvoyée avec chaque page, à repasser pour obtenir la suivante.
+// source = route de l'API pour les listes qui ne sont pas des recherches (photostream, favoris...)
+export interface SearchCursor {
+  query: SearchQuery;
+  source?: string;
+  page: number;
+  pages: number;
+  total: number;
+}
+
+export interface SearchPage {
+  cursor: SearchCursor;
+  images: any[];
+}
+
+export interface FlickrAlbum {
+  id: string;
+  owner: string;
+  title: string;
+  description: string;
+  count: number;
+  cover: FlickrPhotoRecord;
+  ownername?: string;
+}
+
+export interface AlbumPage {
+  page: number;
+  pages: number;
+  total: number;
+  albums: FlickrAlbum[];
+}
+
+export interface FlickrGroup {
+  nsid: string;
+  name: string;
+  description: string;
+  members: number;
+  pool_count: number;
+  iconserver?: string;
+  iconfarm?: number;
+}
+
+export interface GroupPage {
+  page: number;
+  pages: number;
+  total: number;
+  groups: FlickrGroup[];
+}
+
+export interface CameraBrand {
+  id: string;
+  name: string;
+}
+
+export interface CameraModel {
+  id: string;
+  name: string;
+  megapixels: string;
+  lcd_screen_size: string;
+  memory_type: string;
+  image: string;
 }
 
 @Injectable({
@@ -23,67 +155,208 @@ export interface FlickrOut {
 
 export class FlickrgetService {
 
-  prevKeyword: string;
-  currPage = 1;
   mediaType: string;
-  dateMin: number;
-  dateMax: number;
+  dateMin: string;
+  dateMax: string;
+  license: string;
+  sort: string;
+  geo: GeoFilter = {};
+  licenses$: Observable<FlickrLicense[]>;
+  cameraBrands$: Observable<CameraBrand[]>;
   imgOrigin: any;
 
   constructor(private http: HttpClient) { }
 
   getSize(photoID): any {
-    return this.http.get(`https://www.flickr.com/services/rest/?method=flickr.photos.getSizes&api_key=${environment.flickrKey.key}&photo_id=${photoID}&format=json&nojsoncallback=1`);
+    return this.http.get(`${environment.apiUrl}/flickr/photo/${photoID}/sizes`);
   }
-  
-  getInfo(photoID){
-    return this.http.get(`https://www.flickr.com/services/rest/?method=flickr.photos.getInfo&api_key=${environment.flickrKey.key}&photo_id=${photoID}&format=json&nojsoncallback=1`);
+
+  getInfo(photoID): Observable<any> {
+    return this.http.get(`${environment.apiUrl}/flickr/photo/${photoID}`);
   }
 
-  getOwnersImgs(owner){
-    return this.http.get(`https://www.flickr.com/services/rest/?method=flickr.photos.search&api_key=${environment.flickrKey.key}&user_id=${owner}&format=json&nojsoncallback=1`);
+  getExif(photoID): Observable<any> {
+    return this.http.get(`${environment.apiUrl}/flickr/photo/${photoID}/exif`);
   }
-  
-  search_keyword(keyword: string) { // Fonction appelée depuis le composant qui présente l'input à l'utilisateur pour taper ses champs de recherche
 
-    if (this.prevKeyword === keyword) {        
-      this.currPage++;
-    } else {
-      this.currPage = 1;
+  getLicenses(): Observable<FlickrLicense[]> {
+    if (!this.licenses$) {
+      this.licenses$ = this.http.get<FlickrLicense[]>(`${environment.apiUrl}/flickr/licenses`).pipe(shareReplay(1));
     }
-    this.prevKeyword = keyword;
+    return this.licenses$;
+  }
+
+  getCameraBrands(): Observable<CameraBrand[]> {
+    if (!this.cameraBrands$) {
+      this.cameraBrands$ = this.http.get<CameraBrand[]>(`${environment.apiUrl}/flickr/cameras/brands`).pipe(shareReplay(1));
+    }
+    return this.cameraBrands$;
+  }
+
+  getCameraModels(brand: string): Observable<CameraModel[]> {
+    return this.http.get<CameraModel[]>(`${environment.apiUrl}/flickr/cameras/brands/${brand}/models`);
+  }
+
+  // Appareil EXIF de chaque photo, null quand l'EXIF est masqué, absente si Flickr n'a pas répondu
+  getPhotoCameras(ids: string[]): Observable<{ [id: string]: string | null }> {
+    return this.http.get<{ [id: string]: string | null }>(`${environment.apiUrl}/flickr/cameras/photos`, {
+      params: { ids: ids.join(',') }
+    });
+  }
+
+  getOwnersImgs(owner): Observable<FlickrOut> {
+    return this.http.get<FlickrOut>(`${environment.apiUrl}/flickr/search`, { params: { user_id: owner, per_page: '100' } });
+  }
+
+  search(query: SearchQuery): Observable<SearchPage> {
+    return this.searchPage(query, 1);
+  }
 
-    const url = "https://www.flickr.com/services/rest/?method=flickr.photos.search&";
-    const params = `api_key=${environment.flickrKey.key}&text=${keyword}&media=${this.mediaType}&min_upload_date=${this.dateMin}&max_upload_date=${this.dateMax}&format=json&nojsoncallback=1&per_page=48&page=${this.currPage}`;
+  getRelatedTags(tag: string): Observable<string[]> {
+    return this.http.get<string[]>(`${environment.apiUrl}/flickr/tags/related`, { params: { tag } });
+  }
+
+  getOwner(nsid: string): Observable<any> {
+    return this.http.get(`${environment.apiUrl}/flickr/people/${nsid}`);
+  }
+
+  getOwnerPhotos(nsid: string): Observable<SearchPage> {
+    return this.searchPage({}, 1, `/flickr/people/${nsid}/photos`);
+  }
+
+  getOwnerFavorites(nsid: string): Observable<SearchPage> {
+    return this.searchPage({}, 1, `/flickr/people/${nsid}/favorites`);
+  }
+
+  getOwnerAlbums(nsid: string, page = 1): Observable<AlbumPage> {
+    return this.http.get<AlbumPage>(`${environment.apiUrl}/flickr/people/${nsid}/albums`, { params: { page: `${page}` } });
+  }
+
+  getAlbum(nsid: string, id: string): Observable<FlickrAlbum> {
+    return this.http.get<FlickrAlbum>(`${environment.apiUrl}/flickr/people/${nsid}/albums/${id}`);
+  }
 
-    return this.http.get(url + params).pipe(map((res: FlickrOut) => {
+  getAlbumPhotos(nsid: string, id: string): Observable<SearchPage> {
+    return this.searchPage({}, 1, `/flickr/people/${nsid}/albums/${id}/photos`);
+  }
+
+  searchGroups(text: string, page = 1): Observable<GroupPage> {
+    return this.http.get<GroupPage>(`${environment.apiUrl}/flickr/groups`, { params: { text, page: `${page}` } });
+  }
+
+  getGroup(id: string): Observable<FlickrGroup> {
+    return this.http.get<FlickrGroup>(`${environment.apiUrl}/flickr/groups/${id}`);
+  }
+
+  getGroupPool(id: string): Observable<SearchPage> {
+    return this.searchPage({}, 1, `/flickr/groups/${id}/photos`);
+  }
+
+  // Explore d'un jour (YYYY-MM-DD), disponible à partir de la veille
+  explore(date: string): Observable<SearchPage> {
+    return this.searchPage({ date }, 1, '/flickr/explore');
+  }
+
+  nextPage(cursor: SearchCursor): Observable<SearchPage> {
+    return this.searchPage(cursor.query, cursor.page + 1, cursor.source);
+  }
+
+  hasNextPage(cursor: SearchCursor): boolean {
+    return cursor != null && cursor.page < cursor.pages;
+  }
+
+  private searchPage(query: SearchQuery, page: number, source?: string): Observable<SearchPage> {
+    const params = {
+      ...query,
+      per_page: '48',
+      page: `${page}`
+    };
+
+    return this.http.get(`${environment.apiUrl}${source || '/flickr/search'}`, { params }).pipe(map((res: FlickrOut) => {
       const urlArr = [];
-      res.photos.photo.forEach((pic: FlickrPic) => {
-        const photoObject = {
-          id: pic.id,
-          url: `https://farm${pic.farm}.staticflickr.com/${pic.farm}/${pic.id}_${pic.secret}`,
-          title: pic.title          
-        };
-        //console.log(res.photos.photo);
-        //console.log(params);
-        if (pic.farm != "0")
-          urlArr.push(photoObject);
+      res.photos.forEach((pic: FlickrPic) => {
+        urlArr.push(this.toImage(pic));
       });
-      
-      return urlArr;
-      
+
+      const cursor: SearchCursor = { query, page: res.page, pages: res.pages, total: res.total };
+      if (source) {
+        cursor.source = source;
+      }
+      return { cursor, images: urlArr };
     }));
   }
 
+  // Objet image affiché par la grille, la lightbox et la carte, construit à partir des extras de la recherche
+  toImage(pic: FlickrPic): any {
+    return {
+      id: pic.id,
+      thumbnail: FlickrUrlBuilder.photo(pic, 'q'),
+      small: FlickrUrlBuilder.photo(pic, 'm'),
+      large: FlickrUrlBuilder.photo(pic, 'b'),
+      original: FlickrUrlBuilder.photo(pic, 'o'),
+      width: pic.width_o,
+      height: pic.height_o,
+      title: pic.title,
+      owner: pic.owner,
+      ownername: pic.ownername,
+      datetaken: pic.datetaken,
+      license: pic.license,
+      latitude: pic.latitude,
+      longitude: pic.longitude
+    };
+  }
+
   setMedia(type: string): void {
     this.mediaType = type;    
   }
 
-  setDateMin(min: number): void {
+  setDateMin(min: string): void {
     this.dateMin = min;
   }
 
-  setDateMax(max: number): void {
+  setDateMax(max: string): void {
     this.dateMax = max;
   }
+
+  setLicense(license: string): void {
+    this.license = license;
+  }
+
+  setSort(sort: string): void {
+    this.sort = sort;
+  }
+
+  setGeo(geo: GeoFilter): void {
+    this.geo = geo;
+  }
+
+  // Filtres actifs, sans les valeurs vides : ils font partie de la clé du cache Mongo
+  getFilters(): SearchFilters {
+    const filters: SearchFilters = {};
+    if (this.mediaType) {
+      filters.media = this.mediaType;
+    }
+    if (this.dateMin) {
+      filters.min_upload_date = this.dateMin;
+    }
+    if (this.dateMax) {
+      filters.max_upload_date = this.dateMax;
+    }
+    if (this.license) {
+      filters.license = this.license;
+    }
+    if (this.sort) {
+      filters.sort = this.sort;
+    }
+    if (this.geo.bbox) {
+      filters.bbox = this.geo.bbox;
+      filters.has_geo = '1';
+    } else if (this.geo.lat && this.geo.lon) {
+      filters.lat = this.geo.lat;
+      filters.lon = this.geo.lon;
+      filters.radius = this.geo.radius || '5';
+      filters.has_geo = '1';
+    }
+    return filters;
+  }
 }
@@ -0,0 +1,27 @@
+import { Injectable } from '@angular/core';
+import * as L from 'leaflet';
+import { environment } from 'src/environments/environment';
+
+@Injectable({
+  providedIn: 'root'
+})
+
+export class MapService {
+
+  constructor() { }
+
+  // Carte Leaflet avec la couche de tuiles configurée dans environment.tiles
+  createMap(element: HTMLElement, center: L.LatLngExpression = [20, 0], zoom = 2): L.Map {
+    const map = L.map(element, { center, zoom, worldCopyJump: true });
+    L.tileLayer(environment.tiles.url, {
+      attribution: environment.tiles.attribution,
+      maxZoom: environment.tiles.maxZoom
+    }).addTo(map);
+    return map;
+  }
+
+  // Pas d'icône image (les assets de Leaflet ne sont pas copiés par le build) : un cercle suffit comme repère
+  pin(latlng: L.LatLngExpression): L.CircleMarker {
+    return L.circleMarker(latlng, { radius: 8, color: '#ffffff', weight: 2, fillColor: '#6ab04c', fillOpacity: 1 });
+  }
+}
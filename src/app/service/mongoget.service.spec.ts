@@ -1,16 +1,37 @@
 import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { environment } from 'src/environments/environment';
 
 import { MongogetService } from './mongoget.service';
 
 describe('MongogetService', () => {
   let service: MongogetService;
+  let httpMock: HttpTestingController;
 
   beforeEach(() => {
-    TestBed.configureTestingModule({});
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule]
+    });
     service = TestBed.inject(MongogetService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
   });
 
   it('should be created', () => {
     expect(service).toBeTruthy();
   });
+
+  it('should return the getRecherche envelope', () => {
+    service.getRecherche({ text: 'space' }).subscribe(res => {
+      expect(res.found).toBeFalse();
+      expect(res.data).toBeNull();
+    });
+
+    const req = httpMock.expectOne(environment.apiUrl + '/getRecherche?name=space');
+    expect(req.request.method).toBe('GET');
+    req.flush({ found: false, data: null });
+  });
 });
@@ -1,5 +1,21 @@
 import { Injectable } from '@angular/core';
 import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from 'src/environments/environment';
+import { SearchCursor, SearchQuery } from './flickrget.service';
+
+export interface Recherche extends Omit<SearchQuery, 'text'> {
+  name: string;
+  key?: string;
+  cursor: SearchCursor;
+  createdAt?: string;
+  urls: any[];
+}
+
+export interface RechercheResult {
+  found: boolean;
+  data: Recherche | null;
+}
 
 @Injectable({
   providedIn: 'root'
@@ -10,15 +26,16 @@ export class MongogetService {
   constructor(private http: HttpClient) { }
 
   insertRecherche(json){
-    return this.http.post('http://localhost:8080/api/insertRecherche/', json)
+    return this.http.post(environment.apiUrl + '/insertRecherche/', json);
   }
   
-  getRecherche(name){
-    return this.http.get('http://localhost:8080/api/getRecherche?name='+name)
+  getRecherche(query: SearchQuery): Observable<RechercheResult> {
+    const { text, ...filters } = query;
+    return this.http.get<RechercheResult>(environment.apiUrl + '/getRecherche', { params: { name: text || '', ...filters } });
   }
 
   updateRecherche(json){
-    return this.http.post('http://localhost:8080/api/updateRecherche/', json)
+    return this.http.post(environment.apiUrl + '/updateRecherche/', json);
   }
 }
 
@@ -0,0 +1,48 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { environment } from 'src/environments/environment';
+
+import { SavedSearchService } from './saved-search.service';
+
+describe('SavedSearchService', () => {
+  let service: SavedSearchService;
+  let httpMock: HttpTestingController;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule]
+    });
+    service = TestBed.inject(SavedSearchService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+  });
+
+  it('should be created', () => {
+    expect(service).toBeTruthy();
+  });
+
+  it('should keep only search parameters', () => {
+    expect(SavedSearchService.fromQuery({ q: 'moon', media: 'photos', view: 'map', min: '' }))
+      .toEqual({ q: 'moon', media: 'photos' });
+  });
+
+  it('should update a saved search by id', () => {
+    service.update({ _id: 'abc', name: 'Moon', params: { q: 'moon' }, createdAt: '2021-03-14' }).subscribe();
+
+    const req = httpMock.expectOne(environment.apiUrl + '/savedSearches/abc');
+    expect(req.request.method).toBe('PUT');
+    expect(req.request.body).toEqual({ name: 'Moon', params: { q: 'moon' } });
+    req.flush({});
+  });
+
+  it('should mark the alerts of a saved search as seen', () => {
+    service.markSeen('abc').subscribe();
+
+    const req = httpMock.expectOne(environment.apiUrl + '/savedSearches/abc/seen');
+    expect(req.request.method).toBe('POST');
+    req.flush(null);
+  });
+});
@@ -0,0 +1,69 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from 'src/environments/environment';
+import { FlickrPic } from './flickrget.service';
+
+// Paramètres d'URL de /search qui décrivent une recherche (mot-clé ou tags et tous les filtres)
+export const SAVED_SEARCH_PARAMS = ['q', 'tags', 'tag_mode', 'media', 'min', 'max', 'license', 'sort', 'bbox', 'lat', 'lon', 'radius', 'group', 'camera'];
+
+export interface SavedSearch {
+  _id?: string;
+  name: string;
+  params: { [param: string]: string };
+  createdAt?: string;
+  updatedAt?: string;
+  // Alertes : dernière vérification par le job de l'API, dernière visite du fil, photos trouvées depuis
+  lastCheckedAt?: string;
+  lastSeenAt?: string;
+  newCount?: number;
+}
+
+export interface AlertFeed {
+  search: SavedSearch;
+  lastSeenAt: string;
+  photos: (FlickrPic & { foundAt: string })[];
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class SavedSearchService {
+
+  // Ne garde que les paramètres de recherche d'une URL (pas view, pas la photo ouverte)
+  static fromQuery(query: { [param: string]: string }): { [param: string]: string } {
+    const params = {};
+    SAVED_SEARCH_PARAMS.forEach(param => {
+      if (query[param]) {
+        params[param] = query[param];
+      }
+    });
+    return params;
+  }
+
+  constructor(private http: HttpClient) { }
+
+  list(): Observable<SavedSearch[]> {
+    return this.http.get<SavedSearch[]>(`${environment.apiUrl}/savedSearches`);
+  }
+
+  create(search: SavedSearch): Observable<SavedSearch> {
+    return this.http.post<SavedSearch>(`${environment.apiUrl}/savedSearches`, search);
+  }
+
+  update(search: SavedSearch): Observable<SavedSearch> {
+    return this.http.put<SavedSearch>(`${environment.apiUrl}/savedSearches/${search._id}`, { name: search.name, params: search.params });
+  }
+
+  delete(id: string): Observable<void> {
+    return this.http.delete<void>(`${environment.apiUrl}/savedSearches/${id}`);
+  }
+
+  alerts(id: string): Observable<AlertFeed> {
+    return this.http.get<AlertFeed>(`${environment.apiUrl}/savedSearches/${id}/alerts`);
+  }
+
+  markSeen(id: string): Observable<void> {
+    return this.http.post<void>(`${environment.apiUrl}/savedSearches/${id}/seen`, {});
+  }
+}
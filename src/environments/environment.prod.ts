@@ -1,3 +1,10 @@
 export const environment = {
-  production: true
+  production: true,
+  apiUrl: '/api',
+  // Tuiles de carte : pointer url vers un serveur ou un dossier local (ex. assets/tiles/{z}/{x}/{y}.png) pour travailler hors ligne
+  tiles: {
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; OpenStreetMap contributors',
+    maxZoom: 18
+  }
 };
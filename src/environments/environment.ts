@@ -4,8 +4,12 @@
 
 export const environment = {
   production: false,
-  flickrKey: {
-    key :'1e69c0fd262edb5b64e719dbd6be3fa3'
+  apiUrl: 'http://localhost:8080/api',
+  // Tuiles de carte : pointer url vers un serveur ou un dossier local (ex. assets/tiles/{z}/{x}/{y}.png) pour travailler hors ligne
+  tiles: {
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; OpenStreetMap contributors',
+    maxZoom: 18
   }
 };
 
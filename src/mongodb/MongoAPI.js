@@ -1,77 +1,1061 @@
 var express = require('express');
 var MongoClient = require('mongodb').MongoClient;
-var url = 'mongodb://localhost:27017';
+var ObjectId = require('mongodb').ObjectId;
+var Flickr = require('flickr-sdk');
+var crypto = require('crypto');
+var flickrPhotos = require('./flickr-photos');
+var SEARCH_EXTRAS = flickrPhotos.SEARCH_EXTRAS;
+var normalizePhoto = flickrPhotos.normalizePhoto;
+var createAlertJob = require('./alerts').createAlertJob;
+var auth = require('./auth');
+var url = process.env.MONGO_URL || 'mongodb://localhost:27017';
+var poolSize = Number(process.env.MONGO_POOL_SIZE) || 10;
+
+// Un seul client partagé par toutes les routes, ouvert au démarrage
+var client = new MongoClient(url, { useUnifiedTopology: true, poolSize: poolSize });
+var db;
+var server;
+
+// Durée de vie (en secondes) des documents de cache, par collection, appliquée par un index TTL sur createdAt.
+// null = cache permanent (un Explore passé ne change plus)
+var CACHE_TTL = {
+    Recherche: Number(process.env.RECHERCHE_TTL) || 300,
+    Explore: null,
+    Cameras: Number(process.env.CAMERAS_TTL) || 7 * 24 * 3600
+};
+
+// La clé Flickr reste côté serveur : FLICKR_API_KEY=xxx node src/mongodb/MongoAPI.js
+var flickr = new Flickr(process.env.FLICKR_API_KEY || '');
+
+// Vérification des nouvelles photos des recherches enregistrées, toutes les ALERTS_INTERVAL minutes (0 = désactivée)
+var alertsInterval = process.env.ALERTS_INTERVAL !== undefined ? Number(process.env.ALERTS_INTERVAL) : 60;
+var alertJob;
+
+// Échecs de connexion : 5 par compte depuis une même adresse IP et 20 par adresse IP sur 15 minutes,
+// puis 429 jusqu'à la fin de la fenêtre. Un échec ailleurs ne bloque donc pas le titulaire du compte
+var LOGIN_WINDOW = 15 * 60 * 1000;
+var userThrottle = auth.createThrottle({ max: 5, window: LOGIN_WINDOW });
+var ipThrottle = auth.createThrottle({ max: 20, window: LOGIN_WINDOW });
+
+// Comptes locaux : sessions en base (expirées par un index TTL). Sans ALLOW_SIGNUP=1, seul le premier compte
+// peut être créé, et il est administrateur ; ADMIN_USERS=alice,bob donne aussi accès aux routes /api/admin
+var SESSION_TTL = Number(process.env.SESSION_TTL) || 7 * 24 * 3600;
+var allowSignup = process.env.ALLOW_SIGNUP === '1';
+var adminUsers = String(process.env.ADMIN_USERS || '').split(',').map(function (name) {
+    return name.trim().toLowerCase();
+}).filter(function (name) {
+    return name;
+});
 
 var app = express();
+// Derrière un reverse proxy, TRUST_PROXY (nombre de proxies, adresse ou true) fait lire l'adresse du client
+// dans X-Forwarded-For : sans lui, tous les clients partagent l'adresse du proxy pour la limite de connexion
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY)
+        : process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
 app.use(express.urlencoded());
 app.use(express.json({limit:'50mb'}));
 
 app.use(function (req, res, next) {
     res.setHeader('Access-Control-Allow-Origin','http://localhost:4200')
     res.setHeader('Access-Control-Allow-Methods','GET, POST, OPTIONS, PUT, PATCH, DELETE')
-    res.setHeader('Access-Control-Allow-Headers','X-Requested-With,content-type')
+    res.setHeader('Access-Control-Allow-Headers','X-Requested-With,content-type,Authorization')
     res.setHeader('Access-Control-Allow-Credentials',true)
     next();
 });
 
-app.get("/api/getRecherche",function( req,res){
-    MongoClient.connect(url, function(err, client) {
-        var db = client.db('FlickerDonleelowme');
-        var cursor = db.collection('Recherche').find({name:req.query.name});
-        cursor.count().then((value) => {
-            if (value == 0) {
-                res.send()
-            }
-        });
-        cursor.count();
-        cursor.forEach(
-            function (doc) {
-                if (doc != null) {
-                    res.send(doc);
-                }else{
-                    res.send('null');
-                }
-            },
-            function (err) {
-            }
-        );
-        client.close();
+// Routes ouvertes sans session ; tout le reste de /api demande "Authorization: Bearer <jeton>"
+var PUBLIC_ROUTES = ['/api/health', '/api/auth/login', '/api/auth/register'];
+
+app.use('/api', async function (req, res, next) {
+    if (req.method === 'OPTIONS' || PUBLIC_ROUTES.indexOf(req.baseUrl + req.path) !== -1) {
+        return next();
+    }
+    var match = /^Bearer (\w+)$/.exec(req.get('Authorization') || '');
+    if (!match) {
+        return res.status(401).send({ error: 'authentication required' });
+    }
+    try {
+        var session = await db.collection('Session').findOne({ tokenHash: auth.hashToken(match[1]) });
+        var user = session && await db.collection('User').findOne({ _id: session.userId });
+        if (!user) {
+            return res.status(401).send({ error: 'session expired' });
+        }
+        req.user = publicUser(user);
+        req.user._id = user._id;
+        next();
+    } catch (err) {
+        console.log('auth error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+});
+
+app.use('/api/admin', function (req, res, next) {
+    if (!req.user.admin) {
+        return res.status(403).send({ error: 'admin only' });
+    }
+    next();
+});
+
+function publicUser(user) {
+    return { username: user.username, admin: !!user.admin || adminUsers.indexOf(user.username) !== -1 };
+}
+
+async function openSession(res, user, status) {
+    var token = auth.newToken();
+    await db.collection('Session').insertOne({ tokenHash: auth.hashToken(token), userId: user._id, createdAt: new Date() });
+    res.status(status).send({ token: token, user: publicUser(user) });
+}
+
+function credentials(req, res) {
+    var username = String(req.body.username || '').trim().toLowerCase();
+    var password = String(req.body.password || '');
+    if (!/^[a-z0-9_.-]{3,32}$/.test(username) || password.length < 8) {
+        res.status(400).send({ error: 'username must be 3 to 32 letters, digits, _ . or -, and password at least 8 characters' });
+        return null;
+    }
+    return { username: username, password: password };
+}
+
+app.post("/api/auth/register", async function (req, res) {
+    var creds = credentials(req, res);
+    if (!creds) {
+        return;
+    }
+    try {
+        // Premier compte : administrateur, l'index unique sur admin écarte une deuxième inscription simultanée
+        var first = !(await db.collection('User').countDocuments({}, { limit: 1 }));
+        if (!first && !allowSignup) {
+            return res.status(403).send({ error: 'sign up is closed' });
+        }
+        var user = { username: creds.username, passwordHash: await auth.hashPassword(creds.password), createdAt: new Date() };
+        if (first) {
+            user.admin = true;
+        }
+        var result = await db.collection('User').insertOne(user);
+        user._id = result.insertedId;
+        console.log('user [' + user.username + '] registered');
+        await openSession(res, user, 201);
+    } catch (err) {
+        if (err.code === 11000 && first && !allowSignup) {
+            return res.status(403).send({ error: 'sign up is closed' });
+        }
+        if (err.code === 11000) {
+            return res.status(409).send({ error: 'username already taken' });
+        }
+        console.log('register error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.post("/api/auth/login", async function (req, res) {
+    var username = String(req.body.username || '').trim().toLowerCase();
+    var attempt = username + ' ' + req.ip;
+    var wait = Math.max(userThrottle.blocked(attempt), ipThrottle.blocked(req.ip));
+    if (wait) {
+        res.setHeader('Retry-After', wait);
+        return res.status(429).send({ error: 'too many failed attempts, try again in ' + Math.ceil(wait / 60) + ' min' });
+    }
+    try {
+        var user = await db.collection('User').findOne({ username: username });
+        if (!user || !(await auth.verifyPassword(String(req.body.password || ''), user.passwordHash))) {
+            userThrottle.fail(attempt);
+            ipThrottle.fail(req.ip);
+            return res.status(401).send({ error: 'invalid username or password' });
+        }
+        userThrottle.reset(attempt);
+        await openSession(res, user, 200);
+    } catch (err) {
+        console.log('login error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.post("/api/auth/logout", async function (req, res) {
+    var token = /^Bearer (\w+)$/.exec(req.get('Authorization'))[1];
+    try {
+        await db.collection('Session').deleteOne({ tokenHash: auth.hashToken(token) });
+        res.status(204).send();
+    } catch (err) {
+        console.log('logout error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.get("/api/auth/me", function (req, res) {
+    res.send({ username: req.user.username, admin: req.user.admin });
+})
+
+// Champs qui identifient une recherche en cache : mot-clé + tous les filtres, par utilisateur
+var CACHE_FIELDS = ['name', 'tags', 'tag_mode', 'media', 'min_upload_date', 'max_upload_date', 'license', 'sort', 'bbox', 'lat', 'lon', 'radius', 'group_id'];
+
+function cacheIdentity(source, userId) {
+    var filters = {};
+    CACHE_FIELDS.forEach(function (field) {
+        var value = source[field];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            filters[field] = String(value).trim().toLowerCase();
+        }
+    });
+    var key = crypto.createHash('sha1').update(String(userId) + JSON.stringify(filters)).digest('hex');
+    return { key: key, filters: filters };
+}
+
+app.get("/api/health", function (req, res) {
+    var connected = client.isConnected();
+    res.status(connected ? 200 : 503).send({
+        status: connected ? 'ok' : 'down',
+        mongo: { connected: connected, poolSize: poolSize }
     });
 })
 
-app.post("/api/insertRecherche",function(req,res){
-    MongoClient.connect(url, function(err, client) {
-        var db = client.db('FlickerDonleelowme');
-        db.collection('Recherche').insertOne(req.body)
-        client.close();
+app.get("/api/getRecherche", async function (req, res) {
+    if (!req.query.name && !req.query.tags && !req.query.bbox && !req.query.lat && !req.query.group_id) {
+        return res.status(400).send({ error: 'missing query parameter: name, tags, bbox, lat or group_id' });
+    }
+    try {
+        var doc = await db.collection('Recherche').findOne({ key: cacheIdentity(req.query, req.user._id).key });
+        res.send({ found: doc != null, data: doc });
+    } catch (err) {
+        console.log('find error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.post("/api/insertRecherche", async function (req, res) {
+    try {
+        var identity = cacheIdentity(req.body, req.user._id);
+        req.body.key = identity.key;
+        req.body.filters = identity.filters;
+        req.body.userId = req.user._id;
+        req.body.createdAt = new Date();
+        await db.collection('Recherche').insertOne(req.body);
         console.log("data: ["+req.body.name+"] is inserted")
         res.send(req.body);
-    });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).send({ error: 'search already cached' });
+        }
+        console.log('insert error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
 })
 
-app.post("/api/updateRecherche",function(req,res){
-    MongoClient.connect(url, function(err, client) {
-        var db = client.db('FlickerDonleelowme');
-        db.collection('Recherche').updateOne({ name:req.body.name },{ $set: { currPage:req.body.currPage , urls:req.body.urls }})
-        client.close();
+app.post("/api/updateRecherche", async function (req, res) {
+    try {
+        await db.collection('Recherche').updateOne({ key: cacheIdentity(req.body, req.user._id).key },{ $set: { cursor:req.body.cursor , urls:req.body.urls }});
         console.log("data: ["+req.body.name+"] is updated");
         res.send(req.body);
+    } catch (err) {
+        console.log('update error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+// Recherches enregistrées : les paramètres d'URL de /search, sans expiration
+var SAVED_SEARCH_PARAMS = ['q', 'tags', 'tag_mode', 'media', 'min', 'max', 'license', 'sort', 'bbox', 'lat', 'lon', 'radius', 'group', 'camera'];
+
+function savedSearchBody(body) {
+    var name = String(body.name || '').trim();
+    var params = {};
+    SAVED_SEARCH_PARAMS.forEach(function (param) {
+        var value = body.params ? body.params[param] : undefined;
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            params[param] = String(value).trim();
+        }
+    });
+    if (!name || !Object.keys(params).length) {
+        return null;
+    }
+    return { name: name, params: params };
+}
+
+function objectId(req, res, what) {
+    if (!ObjectId.isValid(req.params.id)) {
+        res.status(400).send({ error: 'invalid ' + what + ' id: ' + req.params.id });
+        return null;
+    }
+    return new ObjectId(req.params.id);
+}
+
+// newCount : photos trouvées par les alertes depuis la dernière visite (lastSeenAt)
+app.get("/api/savedSearches", async function (req, res) {
+    try {
+        var searches = await db.collection('SavedSearch').find({ userId: req.user._id }).sort({ updatedAt: -1 }).toArray();
+        await Promise.all(searches.map(async function (search) {
+            search.newCount = await db.collection('AlertPhoto').countDocuments({ searchId: search._id, foundAt: { $gt: search.lastSeenAt || search.createdAt } });
+        }));
+        res.send(searches);
+    } catch (err) {
+        console.log('saved searches error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.post("/api/savedSearches", async function (req, res) {
+    var saved = savedSearchBody(req.body);
+    if (!saved) {
+        return res.status(400).send({ error: 'a saved search needs a name and at least one search parameter' });
+    }
+    try {
+        saved.userId = req.user._id;
+        saved.createdAt = saved.updatedAt = saved.lastCheckedAt = saved.lastSeenAt = new Date();
+        var result = await db.collection('SavedSearch').insertOne(saved);
+        saved._id = result.insertedId;
+        res.status(201).send(saved);
+    } catch (err) {
+        console.log('saved search insert error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.put("/api/savedSearches/:id", async function (req, res) {
+    var id = objectId(req, res, 'saved search');
+    if (!id) {
+        return;
+    }
+    var saved = savedSearchBody(req.body);
+    if (!saved) {
+        return res.status(400).send({ error: 'a saved search needs a name and at least one search parameter' });
+    }
+    try {
+        var previous = await db.collection('SavedSearch').findOne({ _id: id, userId: req.user._id });
+        if (!previous) {
+            return res.status(404).send({ error: 'saved search not found' });
+        }
+        saved.updatedAt = new Date();
+        // Nouveaux paramètres : les alertes repartent de zéro
+        if (JSON.stringify(previous.params) !== JSON.stringify(saved.params)) {
+            saved.lastCheckedAt = saved.lastSeenAt = saved.updatedAt;
+            await db.collection('AlertPhoto').deleteMany({ searchId: id });
+        }
+        var result = await db.collection('SavedSearch').findOneAndUpdate({ _id: id, userId: req.user._id }, { $set: saved }, { returnOriginal: false });
+        res.send(result.value);
+    } catch (err) {
+        console.log('saved search update error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.delete("/api/savedSearches/:id", async function (req, res) {
+    var id = objectId(req, res, 'saved search');
+    if (!id) {
+        return;
+    }
+    try {
+        var result = await db.collection('SavedSearch').deleteOne({ _id: id, userId: req.user._id });
+        if (!result.deletedCount) {
+            return res.status(404).send({ error: 'saved search not found' });
+        }
+        await db.collection('AlertPhoto').deleteMany({ searchId: id });
+        res.status(204).send();
+    } catch (err) {
+        console.log('saved search delete error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+// Fil des photos trouvées par les alertes, les plus récentes d'abord
+app.get("/api/savedSearches/:id/alerts", async function (req, res) {
+    var id = objectId(req, res, 'saved search');
+    if (!id) {
+        return;
+    }
+    try {
+        var search = await db.collection('SavedSearch').findOne({ _id: id, userId: req.user._id });
+        if (!search) {
+            return res.status(404).send({ error: 'saved search not found' });
+        }
+        var alerts = await db.collection('AlertPhoto').find({ searchId: id }).sort({ foundAt: -1 }).limit(Number(req.query.limit) || 200).toArray();
+        res.send({
+            search: search,
+            lastSeenAt: search.lastSeenAt || search.createdAt,
+            photos: alerts.map(function (alert) {
+                return Object.assign({ foundAt: alert.foundAt }, alert.photo);
+            })
+        });
+    } catch (err) {
+        console.log('alerts error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.post("/api/savedSearches/:id/seen", async function (req, res) {
+    var id = objectId(req, res, 'saved search');
+    if (!id) {
+        return;
+    }
+    try {
+        var result = await db.collection('SavedSearch').updateOne({ _id: id, userId: req.user._id }, { $set: { lastSeenAt: new Date() } });
+        if (!result.matchedCount) {
+            return res.status(404).send({ error: 'saved search not found' });
+        }
+        res.status(204).send();
+    } catch (err) {
+        console.log('alerts error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+// Boards : collections nommées de photos, chacune copiée depuis flickr.photos.getInfo au moment de l'ajout
+function boardPhoto(info) {
+    var location = info.location || {};
+    var geo = flickrPhotos.coordinates(location.latitude, location.longitude);
+    return {
+        id: info.id,
+        secret: info.secret,
+        server: info.server,
+        farm: String(info.farm),
+        originalsecret: info.originalsecret,
+        originalformat: info.originalformat,
+        title: info.title._content,
+        description: info.description._content,
+        owner: info.owner.nsid,
+        ownername: info.owner.username,
+        license: info.license,
+        datetaken: info.dates.taken,
+        latitude: geo.latitude,
+        longitude: geo.longitude,
+        url: info.urls.url.length ? info.urls.url[0]._content : null,
+        addedAt: new Date()
+    };
+}
+
+function boardName(req, res) {
+    var name = String(req.body.name || '').trim();
+    if (!name) {
+        res.status(400).send({ error: 'a board needs a name' });
+        return null;
+    }
+    return name;
+}
+
+app.get("/api/boards", async function (req, res) {
+    try {
+        var boards = await db.collection('Board').aggregate([
+            { $match: { userId: req.user._id } },
+            { $sort: { updatedAt: -1 } },
+            { $project: { name: 1, createdAt: 1, updatedAt: 1, count: { $size: '$photos' }, cover: { $arrayElemAt: ['$photos', -1] } } }
+        ]).toArray();
+        res.send(boards);
+    } catch (err) {
+        console.log('boards error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.post("/api/boards", async function (req, res) {
+    var name = boardName(req, res);
+    if (!name) {
+        return;
+    }
+    try {
+        var board = { userId: req.user._id, name: name, photos: [], createdAt: new Date(), updatedAt: new Date() };
+        var result = await db.collection('Board').insertOne(board);
+        board._id = result.insertedId;
+        res.status(201).send(board);
+    } catch (err) {
+        console.log('board insert error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.get("/api/boards/:id", async function (req, res) {
+    var id = objectId(req, res, 'board');
+    if (!id) {
+        return;
+    }
+    try {
+        var board = await db.collection('Board').findOne({ _id: id, userId: req.user._id });
+        if (!board) {
+            return res.status(404).send({ error: 'board not found' });
+        }
+        res.send(board);
+    } catch (err) {
+        console.log('board error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.put("/api/boards/:id", async function (req, res) {
+    var id = objectId(req, res, 'board');
+    var name = id && boardName(req, res);
+    if (!name) {
+        return;
+    }
+    try {
+        var result = await db.collection('Board').findOneAndUpdate({ _id: id, userId: req.user._id }, { $set: { name: name, updatedAt: new Date() } }, { returnOriginal: false });
+        if (!result.value) {
+            return res.status(404).send({ error: 'board not found' });
+        }
+        res.send(result.value);
+    } catch (err) {
+        console.log('board update error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.delete("/api/boards/:id", async function (req, res) {
+    var id = objectId(req, res, 'board');
+    if (!id) {
+        return;
+    }
+    try {
+        var result = await db.collection('Board').deleteOne({ _id: id, userId: req.user._id });
+        if (!result.deletedCount) {
+            return res.status(404).send({ error: 'board not found' });
+        }
+        res.status(204).send();
+    } catch (err) {
+        console.log('board delete error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.post("/api/boards/:id/photos", async function (req, res) {
+    var id = objectId(req, res, 'board');
+    if (!id) {
+        return;
+    }
+    if (!/^\d+$/.test(String(req.body.photoId || ''))) {
+        return res.status(400).send({ error: 'missing or invalid photoId' });
+    }
+    var info;
+    try {
+        info = (await flickr.photos.getInfo({ photo_id: req.body.photoId })).body.photo;
+    } catch (err) {
+        return flickrError(res, err);
+    }
+    try {
+        var photo = boardPhoto(info);
+        var result = await db.collection('Board').updateOne(
+            { _id: id, userId: req.user._id, 'photos.id': { $ne: photo.id } },
+            { $push: { photos: photo }, $set: { updatedAt: new Date() } }
+        );
+        if (!result.matchedCount) {
+            var exists = await db.collection('Board').countDocuments({ _id: id, userId: req.user._id });
+            return res.status(exists ? 409 : 404).send({ error: exists ? 'photo already in board' : 'board not found' });
+        }
+        res.status(201).send(photo);
+    } catch (err) {
+        console.log('board photo error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.delete("/api/boards/:id/photos/:photoId", async function (req, res) {
+    var id = objectId(req, res, 'board');
+    if (!id) {
+        return;
+    }
+    try {
+        var result = await db.collection('Board').updateOne(
+            { _id: id, userId: req.user._id },
+            { $pull: { photos: { id: req.params.photoId } }, $set: { updatedAt: new Date() } }
+        );
+        if (!result.matchedCount) {
+            return res.status(404).send({ error: 'board not found' });
+        }
+        res.status(204).send();
+    } catch (err) {
+        console.log('board photo error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+function flickrError(res, err) {
+    console.log('flickr error: ' + err.message);
+    res.status(err.status || 502).send({ error: err.message });
+}
+
+// Même format pour toutes les listes de photos paginées (recherche, photostream, favoris...)
+function photoPage(photos) {
+    return {
+        page: Number(photos.page),
+        pages: Number(photos.pages),
+        total: Number(photos.total),
+        photos: photos.photo.map(normalizePhoto)
+    };
+}
+
+function sendPhotoPage(res, photos) {
+    res.send(photoPage(photos));
+}
+
+function pageArgs(req) {
+    return { extras: SEARCH_EXTRAS, per_page: req.query.per_page || 48, page: req.query.page || 1 };
+}
+
+app.get("/api/flickr/search", function (req, res) {
+    var args = {
+        text: req.query.text,
+        tags: req.query.tags,
+        tag_mode: req.query.tag_mode,
+        user_id: req.query.user_id,
+        group_id: req.query.group_id,
+        media: req.query.media,
+        min_upload_date: req.query.min_upload_date,
+        max_upload_date: req.query.max_upload_date,
+        license: req.query.license,
+        sort: req.query.sort,
+        bbox: req.query.bbox,
+        lat: req.query.lat,
+        lon: req.query.lon,
+        radius: req.query.radius,
+        has_geo: req.query.has_geo,
+        extras: SEARCH_EXTRAS,
+        per_page: req.query.per_page || 48,
+        page: req.query.page || 1
+    };
+    Object.keys(args).forEach(function (key) {
+        if (args[key] === undefined || args[key] === '' || args[key] === 'undefined') {
+            delete args[key];
+        }
+    });
+    flickr.photos.search(args).then(function (result) {
+        sendPhotoPage(res, result.body.photos);
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+// Flickr renvoie certains champs texte sous la forme { _content: ... }
+function content(value) {
+    return value && value._content !== undefined ? value._content : value;
+}
+
+// groups.search renvoie des champs plats, groups.getInfo des objets { _content } : même format pour le client
+function normalizeGroup(group) {
+    return {
+        nsid: group.nsid || group.id,
+        name: content(group.name),
+        description: content(group.description) || '',
+        members: Number(content(group.members)) || 0,
+        pool_count: Number(content(group.pool_count)) || 0,
+        iconserver: group.iconserver,
+        iconfarm: group.iconfarm
+    };
+}
+
+app.get("/api/flickr/groups", function (req, res) {
+    if (!req.query.text) {
+        return res.status(400).send({ error: 'missing query parameter: text' });
+    }
+    flickr.groups.search({
+        text: req.query.text,
+        per_page: req.query.per_page || 48,
+        page: req.query.page || 1
+    }).then(function (result) {
+        var groups = result.body.groups;
+        res.send({
+            page: Number(groups.page),
+            pages: Number(groups.pages),
+            total: Number(groups.total),
+            groups: groups.group.map(normalizeGroup)
+        });
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+app.get("/api/flickr/groups/:id", function (req, res) {
+    flickr.groups.getInfo({ group_id: req.params.id }).then(function (result) {
+        res.send(normalizeGroup(result.body.group));
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+app.get("/api/flickr/groups/:id/photos", function (req, res) {
+    var args = pageArgs(req);
+    args.group_id = req.params.id;
+    flickr.groups.pools.getPhotos(args).then(function (result) {
+        sendPhotoPage(res, result.body.photos);
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+app.get("/api/flickr/people/:nsid", function (req, res) {
+    flickr.people.getInfo({ user_id: req.params.nsid }).then(function (result) {
+        res.send(result.body.person);
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+app.get("/api/flickr/people/:nsid/photos", function (req, res) {
+    var args = pageArgs(req);
+    args.user_id = req.params.nsid;
+    flickr.people.getPublicPhotos(args).then(function (result) {
+        sendPhotoPage(res, result.body.photos);
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+app.get("/api/flickr/people/:nsid/favorites", function (req, res) {
+    var args = pageArgs(req);
+    args.user_id = req.params.nsid;
+    flickr.favorites.getPublicList(args).then(function (result) {
+        sendPhotoPage(res, result.body.photos);
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+// Album au format du client, pour la liste (photosets.getList) comme pour un seul (photosets.getInfo)
+function normalizeAlbum(set, owner) {
+    var extras = set.primary_photo_extras || {};
+    return {
+        id: set.id,
+        owner: owner,
+        title: set.title._content,
+        description: set.description._content,
+        count: Number(set.photos) + Number(set.videos || 0),
+        cover: { id: set.primary, secret: set.secret, server: set.server, url_q: extras.url_q, url_m: extras.url_m }
+    };
+}
+
+app.get("/api/flickr/people/:nsid/albums", function (req, res) {
+    flickr.photosets.getList({
+        user_id: req.params.nsid,
+        primary_photo_extras: 'url_q,url_m',
+        per_page: req.query.per_page || 48,
+        page: req.query.page || 1
+    }).then(function (result) {
+        var photosets = result.body.photosets;
+        res.send({
+            page: Number(photosets.page),
+            pages: Number(photosets.pages),
+            total: Number(photosets.total),
+            albums: photosets.photoset.map(function (set) {
+                return normalizeAlbum(set, req.params.nsid);
+            })
+        });
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+app.get("/api/flickr/people/:nsid/albums/:id", function (req, res) {
+    flickr.photosets.getInfo({ user_id: req.params.nsid, photoset_id: req.params.id }).then(function (result) {
+        var album = normalizeAlbum(result.body.photoset, req.params.nsid);
+        album.ownername = result.body.photoset.username;
+        res.send(album);
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+// photosets.getPhotos ne répète pas le propriétaire sur chaque photo : on le recopie pour normalizePhoto
+app.get("/api/flickr/people/:nsid/albums/:id/photos", function (req, res) {
+    var args = pageArgs(req);
+    args.user_id = req.params.nsid;
+    args.photoset_id = req.params.id;
+    flickr.photosets.getPhotos(args).then(function (result) {
+        var photoset = result.body.photoset;
+        sendPhotoPage(res, {
+            page: photoset.page,
+            pages: photoset.pages,
+            total: photoset.total,
+            photo: photoset.photo.map(function (pic) {
+                return Object.assign({ owner: photoset.owner, ownername: photoset.ownername }, pic);
+            })
+        });
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+app.get("/api/flickr/tags/related", function (req, res) {
+    if (!req.query.tag) {
+        return res.status(400).send({ error: 'missing query parameter: tag' });
+    }
+    flickr.tags.getRelated({ tag: req.query.tag }).then(function (result) {
+        res.send(result.body.tags.tag.map(function (tag) {
+            return tag._content;
+        }));
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+// La liste des licences Flickr ne change pas : elle est gardée en mémoire après le premier appel
+var licenses;
+
+app.get("/api/flickr/licenses", function (req, res) {
+    if (licenses) {
+        return res.send(licenses);
+    }
+    flickr.photos.licenses.getInfo().then(function (result) {
+        licenses = result.body.licenses.license.map(function (license) {
+            return { id: String(license.id), name: license.name, url: license.url };
+        });
+        res.send(licenses);
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+app.get("/api/flickr/photo/:id", function (req, res) {
+    flickr.photos.getInfo({ photo_id: req.params.id }).then(function (result) {
+        res.send(result.body.photo);
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+app.get("/api/flickr/photo/:id/exif", function (req, res) {
+    flickr.photos.getExif({ photo_id: req.params.id }).then(function (result) {
+        var photo = result.body.photo;
+        res.send({
+            camera: photo.camera,
+            exif: (photo.exif || []).map(function (entry) {
+                return { tag: entry.tag, label: entry.label, raw: entry.raw._content, clean: entry.clean ? entry.clean._content : null };
+            })
+        });
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+app.get("/api/flickr/photo/:id/sizes", function (req, res) {
+    flickr.photos.getSizes({ photo_id: req.params.id }).then(function (result) {
+        res.send(result.body.sizes.size);
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+// Cache clé/valeur des données appareils : listes des marques et modèles, appareil EXIF de chaque photo
+async function cameraCache(key, fetch) {
+    var doc = await db.collection('Cameras').findOne({ key: key });
+    if (doc) {
+        return doc.value;
+    }
+    var value = await fetch();
+    await db.collection('Cameras').updateOne({ key: key }, { $set: { value: value, createdAt: new Date() } }, { upsert: true });
+    return value;
+}
+
+app.get("/api/flickr/cameras/brands", async function (req, res) {
+    try {
+        res.send(await cameraCache('brands', async function () {
+            var result = await flickr.cameras.getBrands();
+            return result.body.brands.brand.map(function (brand) {
+                return { id: brand.id, name: brand.name };
+            });
+        }));
+    } catch (err) {
+        flickrError(res, err);
+    }
+})
+
+app.get("/api/flickr/cameras/brands/:brand/models", async function (req, res) {
+    try {
+        res.send(await cameraCache('models:' + req.params.brand, async function () {
+            var result = await flickr.cameras.getBrandModels({ brand: req.params.brand });
+            return (result.body.cameras.camera || []).map(function (camera) {
+                var details = camera.details || {};
+                var images = camera.images || {};
+                return {
+                    id: camera.id,
+                    name: content(camera.name),
+                    megapixels: content(details.megapixels) || null,
+                    lcd_screen_size: content(details.lcd_screen_size) || null,
+                    memory_type: content(details.memory_type) || null,
+                    image: content(images.small) || null
+                };
+            });
+        }));
+    } catch (err) {
+        flickrError(res, err);
+    }
+})
+
+// Appareil EXIF de chaque photo (?ids=1,2,3) : null quand le propriétaire masque l'EXIF.
+// Une autre erreur (quota, 5xx) n'est pas mise en cache et la photo est absente de la réponse.
+// Les appels getExif partent par lots pour ne pas saturer l'API Flickr
+var EXIF_BATCH = 6;
+// Code d'erreur de flickr.photos.getExif quand le propriétaire ne partage pas l'EXIF
+var EXIF_HIDDEN = 2;
+
+// Appareil d'une photo, en cache ; partagé avec le job d'alertes pour les recherches filtrées par appareil
+function photoCamera(id) {
+    return cameraCache('photo:' + id, function () {
+        return flickr.photos.getExif({ photo_id: id }).then(function (result) {
+            return result.body.photo.camera || null;
+        }, function (err) {
+            if (Number(err.code) === EXIF_HIDDEN) {
+                return null;
+            }
+            throw err;
+        });
     });
+}
+
+app.get("/api/flickr/cameras/photos", async function (req, res) {
+    var ids = String(req.query.ids || '').split(',').filter(function (id) {
+        return /^\d+$/.test(id);
+    }).slice(0, 100);
+    var cameras = {};
+    try {
+        for (var i = 0; i < ids.length; i += EXIF_BATCH) {
+            await Promise.all(ids.slice(i, i + EXIF_BATCH).map(async function (id) {
+                try {
+                    cameras[id] = await photoCamera(id);
+                } catch (err) {
+                    console.log('exif [' + id + '] error: ' + err.message);
+                }
+            }));
+        }
+        res.send(cameras);
+    } catch (err) {
+        console.log('cameras error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
 })
 
-function flush() {
-    setTimeout(() => {
-        MongoClient.connect(url, function(err, client) {
-            var db = client.db('FlickerDonleelowme');
-            console.log('flush !');
-            db.collection('Recherche').deleteMany({date:{$lt:new Date().getTime() - 300000}});
-            flush();
+// Explore d'un jour passé : mis en cache par jour et par page, sans expiration
+// La liste de la veille peut encore changer : elle n'est gardée que EXPLORE_RECENT_TTL secondes (défaut 1 h),
+// les jours précédents sont gardés sans expiration
+var EXPLORE_RECENT_TTL = Number(process.env.EXPLORE_RECENT_TTL) || 3600;
+
+function exploreIsFinal(date) {
+    return date < new Date(Date.now() - 24 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+app.get("/api/flickr/explore", async function (req, res) {
+    var date = req.query.date || '';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).send({ error: 'missing or invalid query parameter: date (YYYY-MM-DD)' });
+    }
+    // Flickr publie l'Explore d'un jour le lendemain (UTC)
+    if (date >= new Date().toISOString().slice(0, 10)) {
+        return res.status(400).send({ error: 'explore is only available for past days' });
+    }
+    var page = Number(req.query.page) || 1;
+    try {
+        var cached = await db.collection('Explore').findOne({ date: date, page: page });
+        if (cached && (exploreIsFinal(date) || Date.now() - cached.createdAt.getTime() < EXPLORE_RECENT_TTL * 1000)) {
+            return res.send(cached.result);
+        }
+    } catch (err) {
+        console.log('explore cache error: ' + err.message);
+    }
+    flickr.interestingness.getList({ date: date, extras: SEARCH_EXTRAS, per_page: 48, page: page }).then(function (result) {
+        var data = photoPage(result.body.photos);
+        res.send(data);
+        return db.collection('Explore').updateOne(
+            { date: date, page: page },
+            { $set: { result: data, createdAt: new Date() } },
+            { upsert: true }
+        ).catch(function (err) {
+            // Deux requêtes simultanées sur le même jour : la première a déjà rempli le cache
+            if (err.code !== 11000) {
+                console.log('explore cache error: ' + err.message);
+            }
         });
-    }, 300000);
+    }).catch(function (err) {
+        flickrError(res, err);
+    });
+})
+
+function cacheCollection(req, res) {
+    if (!CACHE_TTL.hasOwnProperty(req.params.collection)) {
+        res.status(404).send({ error: 'unknown cache collection: ' + req.params.collection });
+        return null;
+    }
+    return db.collection(req.params.collection);
 }
 
-app.listen(8080, function () {
-    flush()
-    console.log('Mongo API is UP !');
+app.get("/api/admin/cache", async function (req, res) {
+    try {
+        var stats = await Promise.all(Object.keys(CACHE_TTL).map(async function (name) {
+            var collection = db.collection(name);
+            var oldest = await collection.find().sort({ createdAt: 1 }).limit(1).next();
+            return {
+                collection: name,
+                ttl: CACHE_TTL[name],
+                count: await collection.countDocuments(),
+                oldest: oldest ? oldest.createdAt : null
+            };
+        }));
+        res.send(stats);
+    } catch (err) {
+        console.log('cache stats error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
+})
+
+app.delete("/api/admin/cache/:collection", async function (req, res) {
+    var collection = cacheCollection(req, res);
+    if (!collection) {
+        return;
+    }
+    try {
+        var result = await collection.deleteMany({});
+        console.log('cache [' + req.params.collection + '] purged: ' + result.deletedCount);
+        res.send({ collection: req.params.collection, deleted: result.deletedCount });
+    } catch (err) {
+        console.log('cache purge error: ' + err.message);
+        res.status(500).send({ error: err.message });
+    }
 })
+
+async function ensureTtlIndex(name, seconds) {
+    try {
+        await db.collection(name).createIndex({ createdAt: 1 }, { expireAfterSeconds: seconds });
+    } catch (err) {
+        // IndexOptionsConflict : l'index existe avec une autre durée, on la met à jour
+        if (err.code !== 85) {
+            throw err;
+        }
+        await db.command({ collMod: name, index: { keyPattern: { createdAt: 1 }, expireAfterSeconds: seconds } });
+    }
+}
+
+function shutdown(signal) {
+    console.log(signal + ' received, closing Mongo API');
+    alertJob.stop();
+    server.close(async function () {
+        await client.close();
+        console.log('Mongo API is DOWN !');
+        process.exit(0);
+    });
+}
+
+client.connect().then(function () {
+    db = client.db('FlickerDonleelowme');
+    return Promise.all([
+        db.collection('Recherche').createIndex({ key: 1 }, { unique: true, partialFilterExpression: { key: { $exists: true } } }),
+        db.collection('Explore').createIndex({ date: 1, page: 1 }, { unique: true }),
+        db.collection('Cameras').createIndex({ key: 1 }, { unique: true }),
+        db.collection('AlertPhoto').createIndex({ searchId: 1, 'photo.id': 1 }, { unique: true }),
+        db.collection('User').createIndex({ username: 1 }, { unique: true }),
+        db.collection('User').createIndex({ admin: 1 }, { unique: true, partialFilterExpression: { admin: true } }),
+        db.collection('Session').createIndex({ tokenHash: 1 }, { unique: true }),
+        ensureTtlIndex('Session', SESSION_TTL)
+    ].concat(Object.keys(CACHE_TTL).filter(function (name) {
+        return CACHE_TTL[name] !== null;
+    }).map(function (name) {
+        return ensureTtlIndex(name, CACHE_TTL[name]);
+    })));
+}).then(function () {
+    server = app.listen(8080, function () {
+        if (!process.env.FLICKR_API_KEY) {
+            console.log('FLICKR_API_KEY is not set, /api/flickr routes will fail');
+        }
+        console.log('Mongo API is UP !');
+    });
+    alertJob = createAlertJob({ db: db, flickr: flickr, cameraOf: photoCamera, interval: alertsInterval * 60 * 1000 });
+    alertJob.start();
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+}).catch(function (err) {
+    console.log('cannot connect to ' + url + ': ' + err.message);
+    process.exit(1);
+});
     
\ No newline at end of file
@@ -0,0 +1,177 @@
+var flickrPhotos = require('./flickr-photos');
+
+// Alertes des recherches enregistrées : chaque recherche est relancée avec min_upload_date = dernière vérification,
+// les photos trouvées sont notées dans AlertPhoto. Le client Flickr est injecté (flickr-sdk ou un faux pour les tests) :
+// seul flickr.photos.search(args) -> Promise<{ body: { photos } }> est utilisé. Pour le filtre "shot with",
+// cameraOf(photoId) -> Promise<appareil EXIF ou null> donne l'appareil de chaque photo trouvée.
+
+// Chevauchement entre deux vérifications : Flickr indexe les nouvelles photos avec un peu de retard,
+// les doublons sont écartés par l'index unique { searchId, 'photo.id' }
+var OVERLAP_SECONDS = 10 * 60;
+var PER_PAGE = 100;
+var MAX_PAGES = 5;
+var EXIF_BATCH = 6;
+
+// Paramètres d'URL d'une recherche enregistrée -> arguments de flickr.photos.search.
+// camera n'est pas un critère de Flickr : il est appliqué après coup par checkSearch
+function toSearchArgs(params) {
+    var args = {
+        text: params.q,
+        tags: params.tags,
+        tag_mode: params.tag_mode,
+        media: params.media,
+        min_upload_date: params.min,
+        max_upload_date: params.max,
+        license: params.license,
+        sort: 'date-posted-desc',
+        bbox: params.bbox,
+        lat: params.lat,
+        lon: params.lon,
+        radius: params.lat ? params.radius || 5 : undefined,
+        has_geo: params.bbox || params.lat ? 1 : undefined,
+        group_id: params.group
+    };
+    Object.keys(args).forEach(function (key) {
+        if (args[key] === undefined || args[key] === '') {
+            delete args[key];
+        }
+    });
+    return args;
+}
+
+// min_upload_date : la plus récente entre la date min de la recherche et la dernière vérification
+function sinceTimestamp(params, lastCheckedAt) {
+    var since = Math.floor(lastCheckedAt.getTime() / 1000) - OVERLAP_SECONDS;
+    var min = params.min ? Math.floor(new Date(params.min).getTime() / 1000) : 0;
+    return Math.max(since, min || 0);
+}
+
+function createAlertJob(options) {
+    var db = options.db;
+    var flickr = options.flickr;
+    var interval = options.interval;
+    var now = options.now || function () {
+        return new Date();
+    };
+    var cameraOf = options.cameraOf;
+    var log = options.log || console.log;
+    var timer = null;
+    var running = false;
+
+    async function checkSearch(saved) {
+        var checkedAt = now();
+        // Recherche enregistrée avant les alertes : on part de maintenant
+        if (!saved.lastCheckedAt) {
+            await db.collection('SavedSearch').updateOne({ _id: saved._id }, { $set: { lastCheckedAt: checkedAt } });
+            return 0;
+        }
+        var args = toSearchArgs(saved.params);
+        args.min_upload_date = sinceTimestamp(saved.params, saved.lastCheckedAt);
+        args.extras = flickrPhotos.SEARCH_EXTRAS;
+        args.per_page = PER_PAGE;
+
+        var found = 0;
+        for (var page = 1; page <= MAX_PAGES; page++) {
+            args.page = page;
+            var photos = (await flickr.photos.search(args)).body.photos;
+            var docs = photos.photo.map(function (pic) {
+                return { searchId: saved._id, photo: flickrPhotos.normalizePhoto(pic), foundAt: checkedAt };
+            });
+            if (saved.params.camera) {
+                docs = await shotWith(docs, saved.params.camera);
+            }
+            if (docs.length) {
+                found += await insertNew(docs);
+            }
+            if (page >= Number(photos.pages)) {
+                break;
+            }
+        }
+        await db.collection('SavedSearch').updateOne({ _id: saved._id }, { $set: { lastCheckedAt: checkedAt } });
+        return found;
+    }
+
+    // Ne garde que les photos prises avec l'appareil demandé (même comparaison que le filtre du client).
+    // Une erreur de lecture EXIF fait échouer la vérification : lastCheckedAt n'avance pas et tout est repris au tour suivant
+    async function shotWith(docs, camera) {
+        if (!cameraOf) {
+            throw new Error('camera filter needs options.cameraOf');
+        }
+        var wanted = camera.toLowerCase();
+        var kept = [];
+        for (var i = 0; i < docs.length; i += EXIF_BATCH) {
+            var batch = docs.slice(i, i + EXIF_BATCH);
+            var cameras = await Promise.all(batch.map(function (doc) {
+                return cameraOf(doc.photo.id);
+            }));
+            batch.forEach(function (doc, j) {
+                if (cameras[j] && cameras[j].toLowerCase() === wanted) {
+                    doc.photo.camera = cameras[j];
+                    kept.push(doc);
+                }
+            });
+        }
+        return kept;
+    }
+
+    // Insère en ignorant les photos déjà connues (erreur 11000 de l'index unique)
+    async function insertNew(docs) {
+        try {
+            var result = await db.collection('AlertPhoto').insertMany(docs, { ordered: false });
+            return result.insertedCount;
+        } catch (err) {
+            if (err.code !== 11000 || !err.result) {
+                throw err;
+            }
+            return err.result.nInserted;
+        }
+    }
+
+    async function runOnce() {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            var searches = await db.collection('SavedSearch').find().toArray();
+            for (var i = 0; i < searches.length; i++) {
+                try {
+                    var found = await checkSearch(searches[i]);
+                    if (found) {
+                        log('alerts [' + searches[i].name + ']: ' + found + ' new photos');
+                    }
+                } catch (err) {
+                    log('alerts [' + searches[i].name + '] error: ' + err.message);
+                }
+            }
+        } finally {
+            running = false;
+        }
+    }
+
+    function tick() {
+        runOnce().catch(function (err) {
+            log('alerts error: ' + err.message);
+        });
+    }
+
+    function start() {
+        if (!interval || timer) {
+            return;
+        }
+        timer = setInterval(tick, interval);
+        tick();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { checkSearch: checkSearch, runOnce: runOnce, start: start, stop: stop };
+}
+
+module.exports = {
+    createAlertJob: createAlertJob,
+    toSearchArgs: toSearchArgs
+};
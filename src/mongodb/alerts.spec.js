@@ -0,0 +1,218 @@
+var alerts = require('./alerts');
+
+// Base en mémoire : juste ce que le job utilise de SavedSearch et AlertPhoto,
+// avec l'erreur 11000 de l'index unique { searchId, 'photo.id' } sur insertMany({ ordered: false })
+function fakeDb() {
+    var data = { SavedSearch: [], AlertPhoto: [] };
+    return {
+        data: data,
+        collection: function (name) {
+            var docs = data[name];
+            return {
+                find: function () {
+                    return {
+                        toArray: async function () {
+                            return docs.slice();
+                        }
+                    };
+                },
+                updateOne: async function (filter, update) {
+                    var doc = docs.find(function (d) {
+                        return d._id === filter._id;
+                    });
+                    if (doc) {
+                        Object.assign(doc, update.$set);
+                    }
+                    return { matchedCount: doc ? 1 : 0 };
+                },
+                insertMany: async function (newDocs) {
+                    var inserted = 0;
+                    var duplicates = 0;
+                    newDocs.forEach(function (doc) {
+                        var exists = docs.some(function (d) {
+                            return d.searchId === doc.searchId && d.photo.id === doc.photo.id;
+                        });
+                        if (exists) {
+                            duplicates++;
+                        } else {
+                            docs.push(doc);
+                            inserted++;
+                        }
+                    });
+                    if (duplicates) {
+                        var err = new Error('E11000 duplicate key error');
+                        err.code = 11000;
+                        err.result = { nInserted: inserted };
+                        throw err;
+                    }
+                    return { insertedCount: inserted };
+                }
+            };
+        }
+    };
+}
+
+// Faux client Flickr : pages[n - 1] = ids des photos de la page n ; chaque appel est noté
+function fakeFlickr(pages) {
+    var calls = [];
+    return {
+        calls: calls,
+        photos: {
+            search: async function (args) {
+                calls.push(Object.assign({}, args));
+                var ids = pages[args.page - 1] || [];
+                return {
+                    body: {
+                        photos: {
+                            page: args.page,
+                            pages: pages.length,
+                            photo: ids.map(function (id) {
+                                return { id: id, owner: '1@N00', secret: 's', server: '1', farm: 1, title: 'photo ' + id };
+                            })
+                        }
+                    }
+                };
+            }
+        }
+    };
+}
+
+describe('alerts', function () {
+    var NOW = new Date('2021-03-14T12:00:00Z');
+    var LAST_CHECK = new Date('2021-03-14T11:00:00Z');
+    var db;
+
+    beforeEach(function () {
+        db = fakeDb();
+    });
+
+    function job(flickr, cameraOf) {
+        return alerts.createAlertJob({
+            db: db,
+            flickr: flickr,
+            cameraOf: cameraOf,
+            interval: 0,
+            now: function () {
+                return NOW;
+            },
+            log: function () { }
+        });
+    }
+
+    function savedSearch(params, lastCheckedAt) {
+        var search = { _id: 's1', name: 'Moon', params: params, lastCheckedAt: lastCheckedAt };
+        db.data.SavedSearch.push(search);
+        return search;
+    }
+
+    it('should turn URL parameters into search arguments', function () {
+        expect(alerts.toSearchArgs({ q: 'moon', media: 'photos', lat: '48.8', lon: '2.3', camera: 'Canon', group: '' })).toEqual({
+            text: 'moon',
+            media: 'photos',
+            sort: 'date-posted-desc',
+            lat: '48.8',
+            lon: '2.3',
+            radius: 5,
+            has_geo: 1
+        });
+    });
+
+    it('should search from the last check minus the overlap', async function () {
+        var flickr = fakeFlickr([[]]);
+        await job(flickr).checkSearch(savedSearch({ q: 'moon' }, LAST_CHECK));
+
+        expect(flickr.calls.length).toBe(1);
+        expect(flickr.calls[0].text).toBe('moon');
+        expect(flickr.calls[0].min_upload_date).toBe(LAST_CHECK.getTime() / 1000 - 10 * 60);
+        expect(flickr.calls[0].sort).toBe('date-posted-desc');
+    });
+
+    it('should keep the minimum date of the search when it is later', async function () {
+        var flickr = fakeFlickr([[]]);
+        await job(flickr).checkSearch(savedSearch({ q: 'moon', min: '2021-03-15' }, LAST_CHECK));
+
+        expect(flickr.calls[0].min_upload_date).toBe(new Date('2021-03-15').getTime() / 1000);
+    });
+
+    it('should read every page up to the last one', async function () {
+        var flickr = fakeFlickr([['1', '2'], ['3'], ['4']]);
+        var found = await job(flickr).checkSearch(savedSearch({ q: 'moon' }, LAST_CHECK));
+
+        expect(flickr.calls.map(function (call) {
+            return call.page;
+        })).toEqual([1, 2, 3]);
+        expect(found).toBe(4);
+    });
+
+    it('should stop after five pages', async function () {
+        var flickr = fakeFlickr([['1'], ['2'], ['3'], ['4'], ['5'], ['6'], ['7']]);
+        var found = await job(flickr).checkSearch(savedSearch({ q: 'moon' }, LAST_CHECK));
+
+        expect(flickr.calls.length).toBe(5);
+        expect(found).toBe(5);
+    });
+
+    it('should skip photos already found by the previous check', async function () {
+        db.data.AlertPhoto.push({ searchId: 's1', photo: { id: '2' }, foundAt: LAST_CHECK });
+        var found = await job(fakeFlickr([['1', '2', '3']])).checkSearch(savedSearch({ q: 'moon' }, LAST_CHECK));
+
+        expect(found).toBe(2);
+        expect(db.data.AlertPhoto.map(function (alert) {
+            return alert.photo.id;
+        }).sort()).toEqual(['1', '2', '3']);
+    });
+
+    it('should record the time of the check', async function () {
+        var search = savedSearch({ q: 'moon' }, LAST_CHECK);
+        await job(fakeFlickr([['1']])).checkSearch(search);
+
+        expect(db.data.SavedSearch[0].lastCheckedAt).toBe(NOW);
+        expect(db.data.AlertPhoto[0].foundAt).toBe(NOW);
+    });
+
+    it('should only start the clock for a search never checked', async function () {
+        var flickr = fakeFlickr([['1']]);
+        var found = await job(flickr).checkSearch(savedSearch({ q: 'moon' }, undefined));
+
+        expect(found).toBe(0);
+        expect(flickr.calls.length).toBe(0);
+        expect(db.data.SavedSearch[0].lastCheckedAt).toBe(NOW);
+    });
+
+    it('should keep only the photos shot with the camera of the search', async function () {
+        var cameras = { 1: 'Canon EOS 5D Mark III', 2: 'NIKON D750', 3: null };
+        var found = await job(fakeFlickr([['1', '2', '3']]), function (id) {
+            return Promise.resolve(cameras[id]);
+        }).checkSearch(savedSearch({ q: 'moon', camera: 'canon eos 5d mark iii' }, LAST_CHECK));
+
+        expect(found).toBe(1);
+        expect(db.data.AlertPhoto[0].photo.id).toBe('1');
+        expect(db.data.AlertPhoto[0].photo.camera).toBe('Canon EOS 5D Mark III');
+    });
+
+    it('should check again later when the camera of a photo cannot be read', async function () {
+        var search = savedSearch({ q: 'moon', camera: 'Canon EOS 5D Mark III' }, LAST_CHECK);
+        var check = job(fakeFlickr([['1']]), function () {
+            return Promise.reject(new Error('rate limited'));
+        }).checkSearch(search);
+
+        await expectAsync(check).toBeRejected();
+        expect(db.data.SavedSearch[0].lastCheckedAt).toBe(LAST_CHECK);
+        expect(db.data.AlertPhoto.length).toBe(0);
+    });
+
+    it('should go on with the other searches when one fails', async function () {
+        savedSearch({ q: 'moon' }, LAST_CHECK);
+        db.data.SavedSearch.push({ _id: 's2', name: 'Sun', params: { q: 'sun' }, lastCheckedAt: LAST_CHECK });
+        var flickr = fakeFlickr([['1']]);
+        var search = flickr.photos.search;
+        flickr.photos.search = function (args) {
+            return args.text === 'moon' ? Promise.reject(new Error('rate limited')) : search(args);
+        };
+        await job(flickr).runOnce();
+
+        expect(db.data.SavedSearch[0].lastCheckedAt).toBe(LAST_CHECK);
+        expect(db.data.SavedSearch[1].lastCheckedAt).toBe(NOW);
+        expect(db.data.AlertPhoto.length).toBe(1);
+    });
+});
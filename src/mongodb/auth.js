@@ -0,0 +1,87 @@
+var crypto = require('crypto');
+var util = require('util');
+
+var scrypt = util.promisify(crypto.scrypt);
+
+// Mots de passe stockés sous la forme "scrypt$<sel>$<hash>", en hexadécimal
+var KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+    var salt = crypto.randomBytes(16).toString('hex');
+    var hash = await scrypt(password, salt, KEY_LENGTH);
+    return 'scrypt$' + salt + '$' + hash.toString('hex');
+}
+
+async function verifyPassword(password, stored) {
+    var parts = String(stored || '').split('$');
+    if (parts.length !== 3 || parts[0] !== 'scrypt') {
+        return false;
+    }
+    var expected = Buffer.from(parts[2], 'hex');
+    var hash = await scrypt(password, parts[1], expected.length);
+    return crypto.timingSafeEqual(hash, expected);
+}
+
+// Jeton de session remis au client ; seule son empreinte est gardée en base
+function newToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Compteur d'échecs en mémoire par clé (nom d'utilisateur, adresse IP) sur une fenêtre fixe.
+// blocked(key) renvoie le nombre de secondes à attendre, 0 si la clé peut encore essayer
+function createThrottle(options) {
+    var max = options.max;
+    var windowMs = options.window;
+    var now = options.now || Date.now;
+    var failures = new Map();
+
+    function entry(key) {
+        var current = failures.get(key);
+        if (current && now() - current.start >= windowMs) {
+            failures.delete(key);
+            return null;
+        }
+        return current;
+    }
+
+    function blocked(key) {
+        var current = entry(key);
+        if (!current || current.count < max) {
+            return 0;
+        }
+        return Math.ceil((current.start + windowMs - now()) / 1000);
+    }
+
+    function fail(key) {
+        var current = entry(key);
+        if (current) {
+            current.count++;
+            return;
+        }
+        // Les fenêtres expirées ne sont purgées qu'à la lecture : on fait le ménage de temps en temps
+        if (failures.size >= 10000) {
+            failures.forEach(function (value, k) {
+                entry(k);
+            });
+        }
+        failures.set(key, { start: now(), count: 1 });
+    }
+
+    function reset(key) {
+        failures.delete(key);
+    }
+
+    return { blocked: blocked, fail: fail, reset: reset };
+}
+
+module.exports = {
+    hashPassword: hashPassword,
+    verifyPassword: verifyPassword,
+    newToken: newToken,
+    hashToken: hashToken,
+    createThrottle: createThrottle
+};
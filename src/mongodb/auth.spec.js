@@ -0,0 +1,60 @@
+var auth = require('./auth');
+
+describe('auth', function () {
+
+    it('should verify a password against its hash only', async function () {
+        var stored = await auth.hashPassword('correct horse');
+
+        expect(stored).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+        expect(await auth.verifyPassword('correct horse', stored)).toBe(true);
+        expect(await auth.verifyPassword('wrong horse', stored)).toBe(false);
+        expect(await auth.verifyPassword('correct horse', 'plain')).toBe(false);
+    });
+
+    it('should store a token hash different from the token', function () {
+        var token = auth.newToken();
+
+        expect(token).toMatch(/^[0-9a-f]{64}$/);
+        expect(auth.hashToken(token)).not.toBe(token);
+        expect(auth.hashToken(token)).toBe(auth.hashToken(token));
+    });
+
+    describe('throttle', function () {
+        var time;
+        var throttle;
+
+        beforeEach(function () {
+            time = 0;
+            throttle = auth.createThrottle({
+                max: 3,
+                window: 60 * 1000,
+                now: function () {
+                    return time;
+                }
+            });
+        });
+
+        it('should block a key after too many failures until the end of the window', function () {
+            throttle.fail('alice');
+            throttle.fail('alice');
+            expect(throttle.blocked('alice')).toBe(0);
+
+            throttle.fail('alice');
+            time = 20 * 1000;
+            expect(throttle.blocked('alice')).toBe(40);
+            expect(throttle.blocked('bob')).toBe(0);
+
+            time = 60 * 1000;
+            expect(throttle.blocked('alice')).toBe(0);
+        });
+
+        it('should forget the failures of a key on reset', function () {
+            throttle.fail('alice');
+            throttle.fail('alice');
+            throttle.reset('alice');
+            throttle.fail('alice');
+
+            expect(throttle.blocked('alice')).toBe(0);
+        });
+    });
+});
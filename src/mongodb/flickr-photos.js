@@ -0,0 +1,46 @@
+// Format des photos Flickr partagé par les routes de MongoAPI.js et le job d'alertes
+
+// Champs demandés à flickr.photos.search pour construire les vignettes sans appel getSizes par photo
+var SEARCH_EXTRAS = 'url_q,url_m,url_l,url_o,o_dims,original_format,owner_name,date_taken,license,geo';
+
+// Flickr renvoie 0,0 (ou rien) pour une photo non géolocalisée ; une seule coordonnée à 0 (équateur, méridien) est valide
+function coordinates(latitude, longitude) {
+    var lat = Number(latitude) || 0;
+    var lon = Number(longitude) || 0;
+    if (!lat && !lon) {
+        return { latitude: null, longitude: null };
+    }
+    return { latitude: lat, longitude: lon };
+}
+
+function normalizePhoto(pic) {
+    var geo = coordinates(pic.latitude, pic.longitude);
+    return {
+        id: pic.id,
+        owner: pic.owner,
+        ownername: pic.ownername,
+        secret: pic.secret,
+        server: pic.server,
+        farm: String(pic.farm),
+        title: pic.title,
+        license: pic.license,
+        datetaken: pic.datetaken,
+        url_q: pic.url_q,
+        url_m: pic.url_m,
+        url_l: pic.url_l,
+        url_o: pic.url_o,
+        originalsecret: pic.originalsecret,
+        originalformat: pic.originalformat,
+        width_o: pic.width_o ? Number(pic.width_o) : null,
+        height_o: pic.height_o ? Number(pic.height_o) : null,
+        // extras=geo
+        latitude: geo.latitude,
+        longitude: geo.longitude
+    };
+}
+
+module.exports = {
+    SEARCH_EXTRAS: SEARCH_EXTRAS,
+    coordinates: coordinates,
+    normalizePhoto: normalizePhoto
+};